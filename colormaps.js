@@ -0,0 +1,77 @@
+/**
+ * 配色表：科学配色的多项式拟合和默认调色板的静态部分
+ * 不依赖 DOM，浏览器中挂到全局 SpectrogramColormaps，Node 中通过 require 使用
+ */
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.SpectrogramColormaps = factory();
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+    /**
+     * 科学配色的多项式拟合系数，每组依次为 t^0 ... t^6 的 RGB 系数
+     */
+    const COLORMAP_COEFFICIENTS = {
+        viridis: [
+            [0.2777273272234177, 0.005407344544966578, 0.3340998053353061],
+            [0.1050930431085774, 1.404613529898575, 1.384590162594685],
+            [-0.3308618287255563, 0.214847559468213, 0.09509516302823659],
+            [-4.634230498983486, -5.799100973351585, -19.33244095627987],
+            [6.228269936347081, 14.17993336680509, 56.69055260068105],
+            [4.776384997670288, -13.74514537774601, -65.35303263337234],
+            [-5.435455855934631, 4.645852612178535, 26.3124352495832]
+        ],
+        magma: [
+            [-0.002136485053939582, -0.000749655052795221, -0.005386127855323933],
+            [0.2516605407371642, 0.6775232436837668, 2.494026599312351],
+            [8.353717279216625, -3.577719514958484, 0.3144679030132573],
+            [-27.66873308576866, 14.26473078096533, -13.64921318813922],
+            [52.17613981234068, -27.94360607168351, 12.94416944238394],
+            [-50.76852536473588, 29.04658282127291, 4.23415299384598],
+            [18.65570506591883, -11.48977351997711, -5.601961508734096]
+        ],
+        inferno: [
+            [0.0002189403691192265, 0.001651004631001012, -0.01948089843709184],
+            [0.1065134194856116, 0.5639564367884091, 3.932712388889277],
+            [11.60249308247187, -3.972853965665698, -15.9423941062914],
+            [-41.70399613139459, 17.43639888205313, 44.35414519872813],
+            [77.162935699427, -33.40235894210092, -81.80730925738993],
+            [-71.31942824499214, 32.62606426397723, 73.20951985803202],
+            [25.13112622477341, -12.24266895238567, -23.07032500287172]
+        ]
+    };
+
+    const smoothstep = (edge0, edge1, x) => {
+        const t = Math.max(0, Math.min(1, (x - edge0) / (edge1 - edge0)));
+        return t * t * (3 - 2 * t);
+    };
+
+    const polynomialColormap = (coefficients) => (t) => [0, 1, 2].map((channel) => {
+        const value = coefficients.reduceRight((acc, c) => acc * t + c[channel], 0);
+        return Math.max(0, Math.min(1, value));
+    });
+
+    /**
+     * 配色方案：强度 t (0-1) → [r, g, b] (0-1)
+     */
+    const COLORMAPS = {
+        // 着色器默认调色板的静态部分（不含随时间变化的 IQ 调色板）
+        artistic: (t) => {
+            if (t < 0.01) return [0, 0, 0];
+            const stops = [[0.28, 0.27, 0.91], [0.8, 0.36, 0.57], [0.88, 0.43, 0.35], [0.86, 0.47, 0.28]];
+            const edges = [0, 0.25, 0.6, 1.0];
+            const i = t < 0.25 ? 0 : (t < 0.6 ? 1 : 2);
+            const u = smoothstep(edges[i], edges[i + 1], t);
+            const softEdge = smoothstep(0, 0.05, t);
+            return stops[i].map((c, channel) => (c + (stops[i + 1][channel] - c) * u) * softEdge);
+        },
+        viridis: polynomialColormap(COLORMAP_COEFFICIENTS.viridis),
+        magma: polynomialColormap(COLORMAP_COEFFICIENTS.magma),
+        inferno: polynomialColormap(COLORMAP_COEFFICIENTS.inferno),
+        grayscale: (t) => [t, t, t]
+    };
+
+    return { COLORMAPS };
+});
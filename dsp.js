@@ -0,0 +1,538 @@
+/**
+ * 频谱分析核心：窗函数、FFT、STFT 帧、频带滤波器组（Mel / 线性 / 对数 / Bark / ERB）、dB 转换、主频估计、模板匹配、波形包络和 WAV 编码
+ * 不依赖 DOM 或 Web Audio，浏览器中挂到全局 SpectrogramDSP，Node 中通过 require 使用
+ */
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.SpectrogramDSP = factory();
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+    // 静音/空白的 dB 值，也是纹理中存储的下限
+    const SILENCE_DB = -200;
+
+    /**
+     * 分析和显示参数的默认值，界面和命令行共用
+     */
+    const DEFAULT_PARAMETERS = {
+        fftSize: 1024,
+        hopSize: 256,       // STFT 步长（采样数），列速率 = sampleRate / hopSize
+        windowType: 'hann', // 窗函数：hann / hamming / blackmanHarris
+        melBands: 256,      // 频带数（所有频率刻度共用，沿用旧名以兼容已保存的配置和链接）
+        frequencyScale: 'mel', // 频带划分：linear / log / mel / bark / erb
+        smoothing: 0.5,     // 相邻帧幅度的指数平滑系数
+        minFreq: 500,       // 滤波器组下限 (Hz)
+        maxFreq: 22050,     // 滤波器组上限 (Hz)，超过奈奎斯特频率时自动截断
+        floorDb: -100,      // 显示下限 (dB)
+        ceilingDb: -20,     // 显示上限 (dB)
+        colormap: 'artistic'
+    };
+
+    /**
+     * 实际使用的步长，不超过 FFT 大小
+     */
+    const getHopSize = ({ fftSize, hopSize }) => Math.min(hopSize, fftSize);
+
+    /**
+     * 生成窗表，同时返回窗函数之和用于幅度归一化
+     */
+    function createWindow(type, size) {
+        const table = new Float32Array(size);
+
+        for (let i = 0; i < size; i++) {
+            const phase = 2 * Math.PI * i / size;
+            switch (type) {
+                case 'hamming':
+                    table[i] = 0.54 - 0.46 * Math.cos(phase);
+                    break;
+                case 'blackmanHarris':
+                    table[i] = 0.35875 - 0.48829 * Math.cos(phase)
+                        + 0.14128 * Math.cos(2 * phase) - 0.01168 * Math.cos(3 * phase);
+                    break;
+                default: // hann
+                    table[i] = 0.5 - 0.5 * Math.cos(phase);
+            }
+        }
+
+        return { table, sum: table.reduce((sum, w) => sum + w, 0) };
+    }
+
+    /**
+     * 原地基 2 FFT
+     */
+    function fft(re, im) {
+        const n = re.length;
+
+        // 位反转置换
+        for (let i = 1, j = 0; i < n; i++) {
+            let bit = n >> 1;
+            for (; j & bit; bit >>= 1) j ^= bit;
+            j ^= bit;
+            if (i < j) {
+                [re[i], re[j]] = [re[j], re[i]];
+                [im[i], im[j]] = [im[j], im[i]];
+            }
+        }
+
+        // 蝶形运算
+        for (let len = 2; len <= n; len <<= 1) {
+            const half = len >> 1;
+            const angle = -2 * Math.PI / len;
+            const wRe = Math.cos(angle);
+            const wIm = Math.sin(angle);
+            for (let i = 0; i < n; i += len) {
+                let curRe = 1;
+                let curIm = 0;
+                for (let k = 0; k < half; k++) {
+                    const a = i + k;
+                    const b = a + half;
+                    const tRe = re[b] * curRe - im[b] * curIm;
+                    const tIm = re[b] * curIm + im[b] * curRe;
+                    re[b] = re[a] - tRe;
+                    im[b] = im[a] - tIm;
+                    re[a] += tRe;
+                    im[a] += tIm;
+                    const nextRe = curRe * wRe - curIm * wIm;
+                    curIm = curRe * wIm + curIm * wRe;
+                    curRe = nextRe;
+                }
+            }
+        }
+    }
+
+    /**
+     * 计算一帧 dB 频谱：加窗、FFT、幅度平滑、20·log10
+     * 幅度按窗函数之和归一化，切换窗函数时正弦信号的电平不变
+     * smoothed 保存跨帧的平滑状态，out 长度为 FFT 大小的一半
+     */
+    function computeDbSpectrum(samples, offset, window, smoothing, smoothed, out) {
+        const n = window.table.length;
+        const re = new Float32Array(n);
+        const im = new Float32Array(n);
+
+        for (let i = 0; i < n; i++) {
+            re[i] = (samples[offset + i] || 0) * window.table[i];
+        }
+
+        fft(re, im);
+
+        for (let k = 0; k < out.length; k++) {
+            const magnitude = Math.hypot(re[k], im[k]) / window.sum;
+            smoothed[k] = smoothing * smoothed[k] + (1 - smoothing) * magnitude;
+            out[k] = smoothed[k] > 0 ? 20 * Math.log10(smoothed[k]) : SILENCE_DB;
+        }
+    }
+
+    /**
+     * 频率刻度：Hz 与刻度值互相转换，滤波器中心在刻度上等距分布
+     * minFreq 为该刻度允许的最低频率（对数刻度不能从 0 开始）
+     */
+    const FREQUENCY_SCALES = {
+        linear: {
+            toScale: (hz) => hz,
+            fromScale: (value) => value
+        },
+        log: {
+            toScale: (hz) => Math.log(hz),
+            fromScale: (value) => Math.exp(value),
+            minFreq: 20
+        },
+        mel: {
+            toScale: (hz) => 2595 * Math.log10(1 + hz / 700),
+            fromScale: (mel) => 700 * (Math.pow(10, mel / 2595) - 1)
+        },
+        // Traunmüller (1990)
+        bark: {
+            toScale: (hz) => 26.81 * hz / (1960 + hz) - 0.53,
+            fromScale: (bark) => 1960 * (bark + 0.53) / (26.28 - bark)
+        },
+        // Glasberg & Moore (1990) ERB-rate
+        erb: {
+            toScale: (hz) => 21.4 * Math.log10(1 + 0.00437 * hz),
+            fromScale: (erb) => (Math.pow(10, erb / 21.4) - 1) / 0.00437
+        }
+    };
+
+    /**
+     * 创建三角滤波器组，中心频率在所选频率刻度上等距
+     * 返回 { filters, bounds, centers, minFreq, maxFreq }，bounds 为每个滤波器的非零区间 [start, end)
+     */
+    function createFilterBank({ sampleRate, fftSize, melBands, minFreq, maxFreq, frequencyScale = 'mel' }) {
+        const nfft = fftSize / 2;
+        const binWidth = sampleRate / fftSize;
+        const scale = FREQUENCY_SCALES[frequencyScale] || FREQUENCY_SCALES.mel;
+
+        // 频率范围，上限不超过奈奎斯特频率
+        const upper = Math.min(maxFreq, sampleRate / 2);
+        const lower = Math.max(scale.minFreq || 0, Math.min(minFreq, upper - 1));
+
+        // 在刻度上等距取点，再转换回 Hz
+        const scaleMin = scale.toScale(lower);
+        const scaleMax = scale.toScale(upper);
+        const hzPoints = [];
+        for (let i = 0; i <= melBands + 1; i++) {
+            hzPoints.push(scale.fromScale(scaleMin + (scaleMax - scaleMin) * i / (melBands + 1)));
+        }
+
+        const filters = [];
+        const bounds = [];
+        for (let m = 1; m <= melBands; m++) {
+            const filter = new Float32Array(nfft);
+            const left = hzPoints[m - 1];
+            const center = hzPoints[m];
+            const right = hzPoints[m + 1];
+
+            for (let k = 0; k < nfft; k++) {
+                const freq = k * binWidth;
+
+                if (freq >= left && freq <= center) {
+                    filter[k] = (freq - left) / (center - left);
+                } else if (freq > center && freq <= right) {
+                    filter[k] = (right - freq) / (right - center);
+                }
+            }
+
+            // 记录非零区间，滤波时只遍历这一段
+            let start = 0;
+            let end = 0;
+            for (let k = 0; k < nfft; k++) {
+                if (filter[k] > 0) {
+                    if (end === 0) start = k;
+                    end = k + 1;
+                }
+            }
+
+            // 频带比频点间隔还窄时三角形里没有频点，取离中心最近的频点，避免出现空白横条
+            if (end === 0) {
+                start = Math.min(nfft - 1, Math.round(center / binWidth));
+                end = start + 1;
+                filter[start] = 1;
+            }
+            filters.push(filter);
+            bounds.push([start, end]);
+        }
+
+        return { filters, bounds, centers: hzPoints.slice(1, melBands + 1), minFreq: lower, maxFreq: upper };
+    }
+
+    /**
+     * 应用滤波器组：输入每个频点的 dB 值，按功率加权求和后转换回 dB
+     */
+    function applyFilterBank(bank, fftDb) {
+        const melData = new Float32Array(bank.filters.length);
+
+        const power = new Float32Array(fftDb.length);
+        for (let k = 0; k < fftDb.length; k++) {
+            power[k] = Math.pow(10, fftDb[k] / 10);
+        }
+
+        bank.filters.forEach((filter, m) => {
+            const [start, end] = bank.bounds[m];
+            let sum = 0;
+            for (let k = start; k < end; k++) {
+                sum += power[k] * filter[k];
+            }
+            melData[m] = sum > 0 ? Math.max(SILENCE_DB, 10 * Math.log10(sum)) : SILENCE_DB;
+        });
+
+        return melData;
+    }
+
+    /**
+     * 谱减降噪：每个频点的幅度减去 strength 倍的噪声幅度
+     * 至少保留原幅度的 floor 比例，避免过减产生的"音乐噪声"
+     * spectrumDb 原地修改，noise 为每个频点的线性幅度
+     */
+    function subtractNoise(spectrumDb, noise, strength, floor = 0.05) {
+        for (let k = 0; k < spectrumDb.length; k++) {
+            const magnitude = Math.pow(10, spectrumDb[k] / 20);
+            const cleaned = Math.max(magnitude - strength * noise[k], floor * magnitude);
+            spectrumDb[k] = cleaned > 0 ? Math.max(SILENCE_DB, 20 * Math.log10(cleaned)) : SILENCE_DB;
+        }
+        return spectrumDb;
+    }
+
+    /**
+     * 主频估计：在 [minFreq, maxFreq] 内找 dB 频谱最强的频点，用相邻三点的抛物线插值细化频率
+     * 返回 { frequency, salience }，salience 为峰值高出该范围平均电平的 dB 数，用作置信度；范围内没有频点时返回 null
+     */
+    function estimatePeakFrequency(spectrumDb, sampleRate, minFreq, maxFreq) {
+        const binWidth = sampleRate / (2 * spectrumDb.length);
+        const first = Math.max(1, Math.ceil(minFreq / binWidth));
+        const last = Math.min(spectrumDb.length - 2, Math.floor(maxFreq / binWidth));
+        if (last < first) return null;
+
+        let peak = first;
+        let sum = 0;
+        for (let k = first; k <= last; k++) {
+            if (spectrumDb[k] > spectrumDb[peak]) peak = k;
+            sum += spectrumDb[k];
+        }
+
+        // 抛物线顶点相对峰值频点的偏移（-0.5 ~ 0.5）
+        const a = spectrumDb[peak - 1];
+        const b = spectrumDb[peak];
+        const c = spectrumDb[peak + 1];
+        const denominator = a - 2 * b + c;
+        const shift = denominator < 0 ? Math.max(-0.5, Math.min(0.5, 0.5 * (a - c) / denominator)) : 0;
+
+        return {
+            frequency: (peak + shift) * binWidth,
+            salience: b - sum / (last - first + 1)
+        };
+    }
+
+    /**
+     * 去均值并归一化为单位长度（原地），全为常数时返回 false
+     */
+    function normalizeTemplate(data) {
+        const mean = data.reduce((sum, value) => sum + value, 0) / data.length;
+        let norm = 0;
+        for (let i = 0; i < data.length; i++) {
+            data[i] -= mean;
+            norm += data[i] * data[i];
+        }
+        norm = Math.sqrt(norm);
+        if (norm < 1e-6) return false;
+        for (let i = 0; i < data.length; i++) data[i] /= norm;
+        return true;
+    }
+
+    /**
+     * 从频带频谱帧中截取模板：帧 [startFrame, endFrame)、频带 [lowBand, highBand]
+     * 按 stretches 做时间伸缩、按 ±maxShift 个频带做频率平移，生成各个变体（去均值、归一化）
+     * 低于 floorDb 的值按 floorDb 处理，避免静音部分主导相关性
+     */
+    function createTemplate(frames, { startFrame, endFrame, lowBand, highBand, floorDb = -100, stretches = [1], maxShift = 0 }) {
+        const length = endFrame - startFrame;
+        const bands = highBand - lowBand + 1;
+        const variants = [];
+
+        stretches.forEach((stretch) => {
+            const stretchedLength = Math.max(2, Math.round(length * stretch));
+            const data = new Float32Array(stretchedLength * bands);
+            for (let t = 0; t < stretchedLength; t++) {
+                const frame = frames[startFrame + Math.min(length - 1, Math.floor(t * length / stretchedLength))];
+                for (let b = 0; b < bands; b++) {
+                    data[t * bands + b] = Math.max(floorDb, frame[lowBand + b]);
+                }
+            }
+            if (!normalizeTemplate(data)) return;
+
+            for (let shift = -maxShift; shift <= maxShift; shift++) {
+                variants.push({ data, length: stretchedLength, lowBand: lowBand + shift, bands, stretch, shift });
+            }
+        });
+
+        return { variants, floorDb, startFrame, length };
+    }
+
+    /**
+     * 在帧 [from, to) 的每个起点计算模板的归一化互相关，取各变体中的最大值
+     * 返回 { scores, best }，best 为得分最高的变体序号（-1 表示该位置放不下任何变体）
+     */
+    function scoreTemplate(frames, template, from, to) {
+        const scores = new Float32Array(to - from).fill(-1);
+        const best = new Int16Array(to - from).fill(-1);
+        const bandCount = frames.length > 0 ? frames[0].length : 0;
+        const floor = template.floorDb;
+
+        for (let p = from; p < to; p++) {
+            template.variants.forEach((variant, index) => {
+                const { data, length, lowBand, bands } = variant;
+                if (lowBand < 0 || lowBand + bands > bandCount || p + length > frames.length) return;
+
+                let dot = 0;
+                let sum = 0;
+                let sumSquares = 0;
+                for (let t = 0; t < length; t++) {
+                    const frame = frames[p + t];
+                    for (let b = 0; b < bands; b++) {
+                        const value = Math.max(floor, frame[lowBand + b]);
+                        dot += data[t * bands + b] * value;
+                        sum += value;
+                        sumSquares += value * value;
+                    }
+                }
+
+                // 模板已去均值，dot 即与去均值窗口的内积
+                const variance = sumSquares - sum * sum / (length * bands);
+                if (variance < 1e-6) return;
+                const score = dot / Math.sqrt(variance);
+                if (score > scores[p - from]) {
+                    scores[p - from] = score;
+                    best[p - from] = index;
+                }
+            });
+        }
+
+        return { scores, best };
+    }
+
+    /**
+     * 从得分中挑出匹配：不低于 minScore，按得分从高到低，彼此不重叠，
+     * 排除模板自身所在的位置；返回 [{ position, score, variant }]
+     */
+    function findMatches(scores, best, template, { minScore = 0.6, maxMatches = 50 } = {}) {
+        const minGap = Math.max(1, template.length);
+        const candidates = [];
+        for (let p = 0; p < scores.length; p++) {
+            if (scores[p] >= minScore && best[p] >= 0) candidates.push(p);
+        }
+        candidates.sort((a, b) => scores[b] - scores[a]);
+
+        const accepted = [];
+        for (const p of candidates) {
+            if (accepted.length >= maxMatches) break;
+            if (Math.abs(p - template.startFrame) < minGap) continue;
+            if (accepted.some(q => Math.abs(p - q) < minGap)) continue;
+            accepted.push(p);
+        }
+
+        return accepted.map(p => ({ position: p, score: scores[p], variant: template.variants[best[p]] }));
+    }
+
+    /**
+     * 多声道混合为单声道
+     */
+    function mixToMono(channels) {
+        const length = channels[0].length;
+        const samples = new Float32Array(length);
+        channels.forEach((channel) => {
+            for (let i = 0; i < length; i++) {
+                samples[i] += channel[i] / channels.length;
+            }
+        });
+        return samples;
+    }
+
+    /**
+     * 一段采样 [start, end) 的波形包络和响度：混合后的最小/最大值、RMS 和峰值（线性），
+     * 任一声道的绝对值达到 clipLevel 即视为削波
+     */
+    function computeEnvelope(channels, start, end, clipLevel = 0.999) {
+        let min = 0;
+        let max = 0;
+        let sumSquares = 0;
+        let peak = 0;
+        let clipped = false;
+        const count = Math.max(0, Math.min(end, channels[0].length) - start);
+
+        for (let i = start; i < start + count; i++) {
+            let sample = 0;
+            channels.forEach((channel) => {
+                const value = channel[i];
+                if (Math.abs(value) >= clipLevel) clipped = true;
+                if (Math.abs(value) > peak) peak = Math.abs(value);
+                sample += value / channels.length;
+            });
+            if (sample < min) min = sample;
+            if (sample > max) max = sample;
+            sumSquares += sample * sample;
+        }
+
+        return { min, max, rms: count > 0 ? Math.sqrt(sumSquares / count) : 0, peak, clipped };
+    }
+
+    /**
+     * 整段采样可以切出的 STFT 帧数（至少一帧，不足部分补零）
+     */
+    const getFrameCount = (length, fftSize, hopSize) => Math.max(1, Math.floor((length - fftSize) / hopSize) + 1);
+
+    /**
+     * 同步计算整段单声道采样的频带频谱
+     * 返回 { frames, centers, columnsPerSecond }，frames 每项为一帧各频带的 dB 值
+     */
+    function computeSpectrogram(samples, sampleRate, parameters = {}) {
+        const params = { ...DEFAULT_PARAMETERS, ...parameters };
+        const hopSize = getHopSize(params);
+        const window = createWindow(params.windowType, params.fftSize);
+        const bank = createFilterBank({ sampleRate, ...params });
+
+        const frameCount = getFrameCount(samples.length, params.fftSize, hopSize);
+        const frames = new Array(frameCount);
+        const spectrumDb = new Float32Array(params.fftSize / 2);
+        const smoothed = new Float32Array(params.fftSize / 2);
+
+        for (let f = 0; f < frameCount; f++) {
+            computeDbSpectrum(samples, f * hopSize, window, params.smoothing, smoothed, spectrumDb);
+            frames[f] = applyFilterBank(bank, spectrumDb);
+        }
+
+        return { frames, centers: bank.centers, columnsPerSecond: sampleRate / hopSize };
+    }
+
+    /**
+     * 编码 16 位单声道 PCM WAV，开始时间写入 LIST/INFO 的 ICRD 字段
+     * chunks 为 Int16Array 分块，length 为总采样数，返回整个文件的 Uint8Array
+     */
+    function encodeWav(chunks, length, sampleRate, startTime) {
+        // ICRD 文本以 \0 结尾并补齐到偶数长度
+        let created = `${startTime.toISOString()}\0`;
+        if (created.length % 2) created += '\0';
+        const listSize = 4 + 8 + created.length;
+
+        const headerSize = 12 + 24 + 8 + listSize + 8;
+        const header = new DataView(new ArrayBuffer(headerSize));
+        const writeString = (offset, text) => {
+            for (let i = 0; i < text.length; i++) header.setUint8(offset + i, text.charCodeAt(i));
+        };
+
+        writeString(0, 'RIFF');
+        header.setUint32(4, headerSize - 8 + length * 2, true);
+        writeString(8, 'WAVE');
+
+        writeString(12, 'fmt ');
+        header.setUint32(16, 16, true);
+        header.setUint16(20, 1, true);              // PCM
+        header.setUint16(22, 1, true);              // 单声道
+        header.setUint32(24, sampleRate, true);
+        header.setUint32(28, sampleRate * 2, true); // 字节率
+        header.setUint16(32, 2, true);              // 块对齐
+        header.setUint16(34, 16, true);             // 位深
+
+        writeString(36, 'LIST');
+        header.setUint32(40, listSize, true);
+        writeString(44, 'INFO');
+        writeString(48, 'ICRD');
+        header.setUint32(52, created.length, true);
+        writeString(56, created);
+
+        const dataOffset = 56 + created.length;
+        writeString(dataOffset, 'data');
+        header.setUint32(dataOffset + 4, length * 2, true);
+
+        const bytes = new Uint8Array(headerSize + length * 2);
+        bytes.set(new Uint8Array(header.buffer), 0);
+        let offset = headerSize;
+        chunks.forEach((chunk) => {
+            bytes.set(new Uint8Array(chunk.buffer, chunk.byteOffset, chunk.byteLength), offset);
+            offset += chunk.byteLength;
+        });
+        return bytes;
+    }
+
+    return {
+        SILENCE_DB,
+        DEFAULT_PARAMETERS,
+        getHopSize,
+        createWindow,
+        fft,
+        computeDbSpectrum,
+        FREQUENCY_SCALES,
+        createFilterBank,
+        applyFilterBank,
+        subtractNoise,
+        estimatePeakFrequency,
+        createTemplate,
+        scoreTemplate,
+        findMatches,
+        mixToMono,
+        computeEnvelope,
+        getFrameCount,
+        computeSpectrogram,
+        encodeWav
+    };
+});
@@ -0,0 +1,90 @@
+/**
+ * dsp.js 和命令行工具中不依赖 DOM 的部分的单元测试
+ * 运行：node --test
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { createWindow, computeDbSpectrum, FREQUENCY_SCALES, createFilterBank, encodeWav } = require('./dsp.js');
+const { readWav, formatCsv } = require('./spectrogram-cli.js');
+
+/**
+ * 检查滤波器组的频带边缘：外侧边缘落在频率范围上，中心频率在给定刻度上等距
+ */
+function assertBandEdges(bank, toScale, { sampleRate, fftSize, bands, minFreq, maxFreq }) {
+    const binWidth = sampleRate / fftSize;
+    assert.equal(bank.centers.length, bands);
+    assert.equal(bank.minFreq, minFreq);
+    assert.equal(bank.maxFreq, Math.min(maxFreq, sampleRate / 2));
+
+    // 第一个滤波器从 minFreq 开始，最后一个到 maxFreq 结束（按 FFT 频点取整）
+    const [firstStart] = bank.bounds[0];
+    const [, lastEnd] = bank.bounds[bands - 1];
+    assert.ok(firstStart * binWidth >= bank.minFreq && (firstStart - 1) * binWidth <= bank.minFreq);
+    assert.ok((lastEnd - 1) * binWidth <= bank.maxFreq && lastEnd * binWidth >= bank.maxFreq);
+
+    const step = (toScale(bank.maxFreq) - toScale(bank.minFreq)) / (bands + 1);
+    bank.centers.forEach((center, i) => {
+        assert.ok(Math.abs(toScale(center) - toScale(bank.minFreq) - step * (i + 1)) < 1e-6 * Math.abs(step) + 1e-9);
+    });
+}
+
+['mel', 'bark', 'erb'].forEach((frequencyScale) => {
+    const { toScale } = FREQUENCY_SCALES[frequencyScale];
+
+    test(`${frequencyScale} filter bank edges span the frequency range`, () => {
+        const options = { sampleRate: 48000, fftSize: 2048, bands: 64, minFreq: 500, maxFreq: 12000 };
+        const bank = createFilterBank({ ...options, melBands: options.bands, frequencyScale });
+        assertBandEdges(bank, toScale, options);
+    });
+
+    test(`${frequencyScale} filter bank upper edge is clamped to Nyquist`, () => {
+        const options = { sampleRate: 22050, fftSize: 1024, bands: 32, minFreq: 100, maxFreq: 22050 };
+        const bank = createFilterBank({ ...options, melBands: options.bands, frequencyScale });
+        assertBandEdges(bank, toScale, options);
+        assert.equal(bank.maxFreq, 11025);
+    });
+});
+
+test('FFT of a pure tone peaks at its bin with the tone amplitude', () => {
+    const fftSize = 1024;
+    const bin = 64;
+    const amplitude = 0.5;
+    const samples = Float32Array.from({ length: fftSize }, (_, i) => amplitude * Math.sin(2 * Math.PI * bin * i / fftSize));
+
+    ['hann', 'hamming', 'blackmanHarris'].forEach((type) => {
+        const out = new Float32Array(fftSize / 2);
+        computeDbSpectrum(samples, 0, createWindow(type, fftSize), 0, new Float32Array(fftSize / 2), out);
+        const peak = out.indexOf(Math.max(...out));
+        assert.equal(peak, bin, type);
+        // 幅度按窗函数之和归一化：正弦峰值为 A/2
+        assert.ok(Math.abs(out[peak] - 20 * Math.log10(amplitude / 2)) < 0.1, type);
+    });
+});
+
+test('encodeWav output reads back through readWav', () => {
+    const length = 1000;
+    const source = Int16Array.from({ length: length + 10 }, (_, i) => Math.round(Math.sin(i / 7) * 30000));
+    // 分块可以是更大缓冲区中的一段（byteOffset 不为 0）
+    const chunks = [source.subarray(0, 400), source.subarray(400, length)];
+    const startTime = new Date(Date.UTC(2025, 0, 1, 6, 30, 15));
+
+    const bytes = encodeWav(chunks, length, 44100, startTime);
+    const buffer = Buffer.from(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    assert.ok(buffer.includes('ICRD') && buffer.includes(startTime.toISOString()));
+
+    const { sampleRate, channels } = readWav(buffer);
+    assert.equal(sampleRate, 44100);
+    assert.equal(channels.length, 1);
+    assert.equal(channels[0].length, length);
+    for (let i = 0; i < length; i++) {
+        assert.equal(channels[0][i], source[i] / 32768);
+    }
+});
+
+test('CSV has a frequency header row and one time-stamped row per frame', () => {
+    const frames = [Float32Array.of(-10, -20.5), Float32Array.of(-30.25, -200)];
+    const csv = formatCsv(frames, [125, 1000.04], 100);
+    assert.equal(csv, 'time_s,125.0,1000.0\n0.0000,-10.00,-20.50\n0.0100,-30.25,-200.00\n');
+});
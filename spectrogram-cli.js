@@ -0,0 +1,280 @@
+#!/usr/bin/env node
+/**
+ * 命令行频谱图渲染：读取 WAV 文件，输出频谱图 PNG 和频带帧 CSV
+ * 分析参数和配色与网页界面一致（见 dsp.js / colormaps.js），图像等同于分析模式下的显示
+ *
+ * 用法：node spectrogram-cli.js input.wav [选项]，--help 查看全部选项
+ */
+
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const { parseArgs } = require('util');
+
+const { DEFAULT_PARAMETERS, FREQUENCY_SCALES, mixToMono, computeSpectrogram } = require('./dsp.js');
+const { COLORMAPS } = require('./colormaps.js');
+
+const USAGE = `Usage: node spectrogram-cli.js <input.wav> [options]
+
+Options:
+  -o, --output <prefix>   Output path prefix (default: input path without extension)
+      --fft-size <n>      FFT size, power of two (default: ${DEFAULT_PARAMETERS.fftSize})
+      --hop-size <n>      STFT hop in samples (default: ${DEFAULT_PARAMETERS.hopSize})
+      --window <name>     hann | hamming | blackmanHarris (default: ${DEFAULT_PARAMETERS.windowType})
+      --mel-bands <n>     Number of frequency bands (default: ${DEFAULT_PARAMETERS.melBands})
+      --scale <name>      ${Object.keys(FREQUENCY_SCALES).join(' | ')} (default: ${DEFAULT_PARAMETERS.frequencyScale})
+      --smoothing <x>     Magnitude smoothing 0-0.99 (default: ${DEFAULT_PARAMETERS.smoothing})
+      --min-freq <hz>     Filter bank lower bound (default: ${DEFAULT_PARAMETERS.minFreq})
+      --max-freq <hz>     Filter bank upper bound (default: ${DEFAULT_PARAMETERS.maxFreq})
+      --floor-db <db>     Display floor (default: ${DEFAULT_PARAMETERS.floorDb})
+      --ceiling-db <db>   Display ceiling (default: ${DEFAULT_PARAMETERS.ceilingDb})
+      --colormap <name>   ${Object.keys(COLORMAPS).join(' | ')} (default: ${DEFAULT_PARAMETERS.colormap})
+      --band-height <px>  Pixel rows per band in the PNG (default: 2)
+  -h, --help              Show this message`;
+
+// 命令行选项 → 参数名，均为数值
+const NUMERIC_OPTIONS = {
+    'fft-size': 'fftSize',
+    'hop-size': 'hopSize',
+    'mel-bands': 'melBands',
+    'smoothing': 'smoothing',
+    'min-freq': 'minFreq',
+    'max-freq': 'maxFreq',
+    'floor-db': 'floorDb',
+    'ceiling-db': 'ceilingDb'
+};
+
+/**
+ * 解析命令行，返回输入路径、输出前缀和分析参数
+ */
+function parseCommandLine(argv) {
+    const options = {
+        output: { type: 'string', short: 'o' },
+        window: { type: 'string' },
+        scale: { type: 'string' },
+        colormap: { type: 'string' },
+        'band-height': { type: 'string' },
+        help: { type: 'boolean', short: 'h' }
+    };
+    Object.keys(NUMERIC_OPTIONS).forEach((name) => {
+        options[name] = { type: 'string' };
+    });
+
+    const { values, positionals } = parseArgs({ args: argv, options, allowPositionals: true });
+    if (values.help || positionals.length !== 1) return null;
+
+    const parameters = { ...DEFAULT_PARAMETERS };
+    Object.entries(NUMERIC_OPTIONS).forEach(([name, key]) => {
+        if (values[name] === undefined) return;
+        const value = Number(values[name]);
+        if (!Number.isFinite(value)) throw new Error(`--${name} expects a number, got "${values[name]}"`);
+        parameters[key] = value;
+    });
+    if (values.window) parameters.windowType = values.window;
+    if (values.scale) parameters.frequencyScale = values.scale;
+    if (values.colormap) parameters.colormap = values.colormap;
+
+    const { fftSize, hopSize, melBands } = parameters;
+    if (!Number.isInteger(fftSize) || fftSize < 32 || (fftSize & (fftSize - 1)) !== 0) {
+        throw new Error('--fft-size must be a power of two ≥ 32');
+    }
+    if (!Number.isInteger(hopSize) || hopSize < 1) throw new Error('--hop-size must be a positive integer');
+    if (!Number.isInteger(melBands) || melBands < 1) throw new Error('--mel-bands must be a positive integer');
+    if (!['hann', 'hamming', 'blackmanHarris'].includes(parameters.windowType)) {
+        throw new Error(`Unknown window "${parameters.windowType}"`);
+    }
+    if (!FREQUENCY_SCALES[parameters.frequencyScale]) {
+        throw new Error(`Unknown frequency scale "${parameters.frequencyScale}"`);
+    }
+    if (!COLORMAPS[parameters.colormap]) throw new Error(`Unknown colormap "${parameters.colormap}"`);
+
+    const bandHeight = values['band-height'] === undefined ? 2 : Number(values['band-height']);
+    if (!Number.isInteger(bandHeight) || bandHeight < 1) throw new Error('--band-height must be a positive integer');
+
+    const input = positionals[0];
+    const output = values.output || path.join(path.dirname(input), path.basename(input, path.extname(input)));
+    return { input, output, parameters, bandHeight };
+}
+
+/**
+ * 解析 WAV：支持 8/16/24/32 位整数 PCM 和 32/64 位浮点（含 WAVE_FORMAT_EXTENSIBLE）
+ * 返回 { sampleRate, channels }，每个声道为 -1..1 的 Float32Array
+ */
+function readWav(buffer) {
+    if (buffer.toString('ascii', 0, 4) !== 'RIFF' || buffer.toString('ascii', 8, 12) !== 'WAVE') {
+        throw new Error('Not a RIFF/WAVE file');
+    }
+
+    let format = null;
+    let data = null;
+    for (let offset = 12; offset + 8 <= buffer.length;) {
+        const id = buffer.toString('ascii', offset, offset + 4);
+        const size = buffer.readUInt32LE(offset + 4);
+        const body = offset + 8;
+
+        if (id === 'fmt ') {
+            let audioFormat = buffer.readUInt16LE(body);
+            if (audioFormat === 0xfffe) audioFormat = buffer.readUInt16LE(body + 24); // 子格式 GUID 的前两个字节
+            format = {
+                audioFormat,
+                channels: buffer.readUInt16LE(body + 2),
+                sampleRate: buffer.readUInt32LE(body + 4),
+                bitsPerSample: buffer.readUInt16LE(body + 14)
+            };
+        } else if (id === 'data') {
+            // 录音中途截断的文件 data 长度可能大于实际剩余字节
+            data = buffer.subarray(body, Math.min(buffer.length, body + size));
+        }
+        offset = body + size + (size & 1); // 块按偶数字节对齐
+    }
+    if (!format || !data) throw new Error('Missing fmt or data chunk');
+
+    const { audioFormat, channels: channelCount, sampleRate, bitsPerSample } = format;
+    const bytes = bitsPerSample / 8;
+    const readers = {
+        '1:8': (o) => (data.readUInt8(o) - 128) / 128,
+        '1:16': (o) => data.readInt16LE(o) / 32768,
+        '1:24': (o) => data.readIntLE(o, 3) / 8388608,
+        '1:32': (o) => data.readInt32LE(o) / 2147483648,
+        '3:32': (o) => data.readFloatLE(o),
+        '3:64': (o) => data.readDoubleLE(o)
+    };
+    const read = readers[`${audioFormat}:${bitsPerSample}`];
+    if (!read) throw new Error(`Unsupported WAV encoding (format ${audioFormat}, ${bitsPerSample} bit)`);
+
+    const frameCount = Math.floor(data.length / (bytes * channelCount));
+    const channels = [];
+    for (let c = 0; c < channelCount; c++) {
+        const samples = new Float32Array(frameCount);
+        for (let i = 0; i < frameCount; i++) {
+            samples[i] = read((i * channelCount + c) * bytes);
+        }
+        channels.push(samples);
+    }
+    return { sampleRate, channels };
+}
+
+// PNG 块校验用的 CRC32 表
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+    let c = n;
+    for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    return c >>> 0;
+});
+
+const crc32 = (bytes) => {
+    let crc = 0xffffffff;
+    for (const byte of bytes) crc = CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+    return (crc ^ 0xffffffff) >>> 0;
+};
+
+/**
+ * 编码 8 位 RGB PNG，rgb 按行自上而下排列
+ */
+function encodePng(width, height, rgb) {
+    const chunk = (type, body) => {
+        const header = Buffer.alloc(8);
+        header.writeUInt32BE(body.length, 0);
+        header.write(type, 4, 'ascii');
+        const crc = Buffer.alloc(4);
+        crc.writeUInt32BE(crc32(Buffer.concat([header.subarray(4), body])), 0);
+        return Buffer.concat([header, body, crc]);
+    };
+
+    const ihdr = Buffer.alloc(13);
+    ihdr.writeUInt32BE(width, 0);
+    ihdr.writeUInt32BE(height, 4);
+    ihdr.set([8, 2, 0, 0, 0], 8); // 8 位、真彩色、deflate、无滤波器、非隔行
+
+    // 每行前加一个滤波类型字节 (0 = None)
+    const rowBytes = width * 3;
+    const raw = Buffer.alloc((rowBytes + 1) * height);
+    for (let y = 0; y < height; y++) {
+        raw.set(rgb.subarray(y * rowBytes, (y + 1) * rowBytes), y * (rowBytes + 1) + 1);
+    }
+
+    return Buffer.concat([
+        Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+        chunk('IHDR', ihdr),
+        chunk('IDAT', zlib.deflateSync(raw)),
+        chunk('IEND', Buffer.alloc(0))
+    ]);
+}
+
+/**
+ * 把频带帧渲染为像素：每帧一列，高频在上，颜色与分析模式下的着色器一致
+ */
+function renderSpectrogram(frames, { floorDb, ceilingDb, colormap }, bandHeight) {
+    const bands = frames[0].length;
+    const width = frames.length;
+    const height = bands * bandHeight;
+
+    // 与着色器相同的 256 级查找表
+    const colormapFn = COLORMAPS[colormap];
+    const lookup = new Uint8Array(256 * 3);
+    for (let i = 0; i < 256; i++) {
+        colormapFn(i / 255).forEach((value, channel) => {
+            lookup[i * 3 + channel] = Math.round(value * 255);
+        });
+    }
+
+    const rgb = new Uint8Array(width * height * 3);
+    frames.forEach((frame, x) => {
+        for (let band = 0; band < bands; band++) {
+            const t = Math.max(0, Math.min(1, (frame[band] - floorDb) / (ceilingDb - floorDb)));
+            const color = Math.round(t * 255) * 3;
+            for (let row = 0; row < bandHeight; row++) {
+                const y = (bands - 1 - band) * bandHeight + row;
+                rgb.set(lookup.subarray(color, color + 3), (y * width + x) * 3);
+            }
+        }
+    });
+
+    return { width, height, rgb };
+}
+
+/**
+ * CSV 与网页导出格式相同：首行为频带中心频率 (Hz)，首列为时间 (s)，其余为电平 (dB)
+ */
+function formatCsv(frames, centers, columnsPerSecond) {
+    const rows = [`time_s,${centers.map(f => f.toFixed(1)).join(',')}\n`];
+    frames.forEach((frame, i) => {
+        rows.push(`${(i / columnsPerSecond).toFixed(4)},${Array.from(frame, v => v.toFixed(2)).join(',')}\n`);
+    });
+    return rows.join('');
+}
+
+function main() {
+    let options;
+    try {
+        options = parseCommandLine(process.argv.slice(2));
+    } catch (error) {
+        console.error(`❌ ${error.message}`);
+        process.exit(2);
+    }
+    if (!options) {
+        console.log(USAGE);
+        return;
+    }
+
+    const { input, output, parameters, bandHeight } = options;
+    try {
+        const { sampleRate, channels } = readWav(fs.readFileSync(input));
+        const samples = mixToMono(channels);
+        console.log(`🎵 ${path.basename(input)}: ${(samples.length / sampleRate).toFixed(2)}s, ${channels.length} ch @ ${sampleRate} Hz`);
+
+        const { frames, centers, columnsPerSecond } = computeSpectrogram(samples, sampleRate, parameters);
+        console.log(`📊 Analysis complete: ${frames.length} frames × ${centers.length} bands`);
+
+        const { width, height, rgb } = renderSpectrogram(frames, parameters, bandHeight);
+        fs.writeFileSync(`${output}.png`, encodePng(width, height, rgb));
+        fs.writeFileSync(`${output}.csv`, formatCsv(frames, centers, columnsPerSecond));
+        console.log(`💾 Wrote ${output}.png (${width}x${height}) and ${output}.csv`);
+    } catch (error) {
+        console.error(`❌ ${input}: ${error.message}`);
+        process.exit(1);
+    }
+}
+
+if (require.main === module) main();
+
+module.exports = { readWav, encodePng, renderSpectrogram, formatCsv };
@@ -1,676 +1,5212 @@
 /**
  * Bird Sound Spectrogram Visualizer
  * 核心功能模块 - 音频处理和WebGL渲染
+ *
+ * 可嵌入组件：在任意容器中创建频谱图，控制面板是可选的附加部分
+ * 浏览器中先加载 three.js、dsp.js 和 colormaps.js，得到全局 SpectrogramVisualizer；
+ * 打包工具中 require('./spectrogram.js') 返回同一个类（依赖 three 包）
+ *
+ *   const visualizer = new SpectrogramVisualizer(container, {
+ *       controls: panel,         // 可选：带有约定 id 的控制面板（见 index.html），省略时只显示频谱图
+ *       config: { colormap: 'viridis' }, // 可选：初始配置，键与 this.config 相同
+ *       persist: false,          // 是否从 localStorage / URL hash 恢复配置并在修改后保存
+ *       workletUrl: 'stft-processor.js'
+ *   });
+ *   await visualizer.loadBuffer(audioBuffer, 'dawn.wav'); // 离线分析 AudioBuffer
+ *   await visualizer.attachStream(stream);                // 实时显示 MediaStream，音轨由调用者结束
+ *   await visualizer.setConfig({ minFreq: 1000 });
+ *   visualizer.addEventListener('frame', (e) => console.log(e.detail.frame));
+ *   visualizer.destroy();
+ *
+ * 事件（CustomEvent，数据在 detail 中）：
+ *   frame        实时模式每产生一列 { frame, pitch, time, frequencies }，frame 为各频带的 dB 值
+ *   statechange  状态变化 { state, previous }：idle | live | stopped | playing | paused
+ *   error        出错 { error, message }，message 为给用户看的提示
  */
 
-class SpectrogramVisualizer {
-    constructor() {
-        // DOM 元素
-        this.canvas = document.getElementById('canvas');
-        
-        // Three.js 核心对象
-        this.scene = null;
-        this.camera = null;
-        this.renderer = null;
-        
-        // 音频相关
-        this.audioContext = null;
-        this.analyser = null;
-        this.dataArray = null;
-        this.isRecording = false;
-        
-        // 参数配置
-        this.config = {
-            fftSize: 1024,
-            melBands: 256,
-            smoothing: 0.5,
-            bloomIntensity: 0.7,
-            //colorTemp: 6500,
-            scrollSpeed: 1.0,
-            spectrogramWidth: 600, // 频谱图宽度（时间维度）
-            exposure: 1.2,      // 曝光度
-            gamma: 1.0,         // Gamma 校正
-        };
-        
-        // 数据存储
-        this.spectrogramData = [];
-        this.spectrogramTexture = null;
-        this.spectrogramMaterial = null;
-        this.melFilterBank = null;
-        
-        // 初始化
-        this.init();
+// 浏览器中使用 three.js、dsp.js 和 colormaps.js 创建的全局变量并挂到全局 SpectrogramVisualizer，
+// CommonJS 环境（打包工具）中用 require 加载依赖并导出组件类
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('three'), require('./dsp.js'), require('./colormaps.js'));
+    } else {
+        root.SpectrogramVisualizer = factory(root.THREE, root.SpectrogramDSP, root.SpectrogramColormaps);
     }
+})(typeof self !== 'undefined' ? self : this, function (THREE, SpectrogramDSP, SpectrogramColormaps) {
+    const { COLORMAPS } = SpectrogramColormaps;
+    const {
+        SILENCE_DB,
+        DEFAULT_PARAMETERS,
+        getHopSize,
+        createWindow,
+        computeDbSpectrum,
+        createFilterBank,
+        applyFilterBank,
+        mixToMono,
+        computeEnvelope,
+        estimatePeakFrequency,
+        createTemplate,
+        scoreTemplate,
+        findMatches,
+        getFrameCount,
+        encodeWav,
+        subtractNoise,
+        FREQUENCY_SCALES
+    } = SpectrogramDSP;
 
-    /**
-     * 初始化所有模块
-     */
-    async init() {
-        try {
-            this.initThree();
-            await this.initAudio();
-            this.createMelFilterBank();
-            this.initControls();
-            this.animate();
-            console.log('✅ Spectrogram visualizer initialized successfully');
-        } catch (error) {
-            console.error('❌ Initialization failed:', error);
-        }
-    }
+    // 自动增益峰值回落速度 (dB/s)
+    const AUTO_GAIN_RELEASE_DB = 6;
 
-    /**
-     * 初始化 Three.js 场景
-     */
-    initThree() {
-        console.log('🎬 Initializing Three.js...');
-        
-        // 检查WebGL支持
-        if (!window.WebGLRenderingContext) {
-            console.error('❌ WebGL not supported');
-            alert('您的浏览器不支持WebGL，无法显示频谱图');
-            return;
-        }
-
-        // 创建场景
-        this.scene = new THREE.Scene();
-        console.log('✅ Scene created');
-
-        // 创建正交相机（2D视图）
-        const aspect = window.innerWidth / window.innerHeight;
-        this.camera = new THREE.OrthographicCamera(
-            -aspect, aspect, 1, -1, 0.1, 1000
-        );
-        this.camera.position.z = 1;
-        console.log('✅ Camera created');
-
-        // 创建渲染器
-        this.renderer = new THREE.WebGLRenderer({ 
-            canvas: this.canvas, 
-            antialias: true,
-            alpha: true,
-            context: this.canvas.getContext('webgl2')
-        });
-        
-        if (!this.renderer) {
-            console.error('❌ WebGL renderer creation failed');
-            return;
-        }
-        
-        this.renderer.setSize(window.innerWidth, window.innerHeight);
-        this.renderer.setPixelRatio(window.devicePixelRatio);
-        console.log('✅ Renderer created');
+    // 相邻能量突发间隔小于该值（秒）时合并为同一事件
+    const EVENT_MERGE_GAP = 0.03;
 
-        // 创建频谱图平面
-        this.createSpectrogramPlane();
+    // 事件框的频率范围：峰值以下该 dB 以内的频带
+    const EVENT_BOX_RANGE_DB = 20;
 
-        // 窗口大小变化处理
-        window.addEventListener('resize', () => this.onWindowResize());
-        
-        console.log('✅ Three.js initialization complete');
-    }
+    // 实时模式学习噪声时采集的时长（秒）
+    const NOISE_LEARN_SECONDS = 1;
 
-    /**
-     * 创建频谱图渲染平面
-     */
- createSpectrogramPlane() {
-    console.log('🎨 Creating spectrogram plane...');
-    
-    // 创建数据纹理
-    const textureData = new Uint8Array(this.config.spectrogramWidth * this.config.melBands * 4);
-    
-    // 填充一些测试数据，确保纹理可见
-    for (let i = 0; i < textureData.length; i += 4) {
-        textureData[i] = 0;     // R
-        textureData[i + 1] = 0; // G
-        textureData[i + 2] = 0; // B
-        textureData[i + 3] = 255; // A
-    }
-    
-    this.spectrogramTexture = new THREE.DataTexture(
-        textureData, 
-        this.config.spectrogramWidth, 
-        this.config.melBands, 
-        THREE.RGBAFormat
-    );
-    this.spectrogramTexture.minFilter = THREE.LinearFilter;
-    this.spectrogramTexture.magFilter = THREE.LinearFilter;
-    this.spectrogramTexture.needsUpdate = true;
-    console.log('✅ Texture created');
-
-    // WebGL1 兼容的顶点着色器
-    const vertexShader = `
-        varying vec2 vUv;
-
-        void main() {
-            vUv = uv;
-            gl_Position = projectionMatrix * modelViewMatrix * vec4(position, 1.0);
-        }`;
-
-            // WebGL1 兼容的片元着色器 - 修复 'sample' 保留字问题
-            const fragmentShader = `
-        precision highp float;
-
-        uniform sampler2D spectrogramTexture;
-        uniform float bloomIntensity;
-        uniform float time;
-        uniform vec2 textureSize;
-        uniform float exposure;    // 新增：曝光度
-        uniform float gamma;       // 新增：Gamma 校正
-
-        varying vec2 vUv;
-
-        // IQ调色板函数
-        vec3 palette(float t, vec3 a, vec3 b, vec3 c, vec3 d) {
-            return a + b * cos(6.28318 * (c * t + d));
-        }
-
-        // 改进的噪声函数
-        float hash(vec2 p) {
-            return fract(sin(dot(p, vec2(127.1, 311.7))) * 43758.5453);
-        }
-
-        float noise(vec2 p) {
-            vec2 i = floor(p);
-            vec2 f = fract(p);
-            f = f * f * (3.0 - 2.0 * f);
-            return mix(mix(hash(i), hash(i + vec2(1.0, 0.0)), f.x),
-                    mix(hash(i + vec2(0.0, 1.0)), hash(i + vec2(1.0, 1.0)), f.x), f.y);
-        }
-
-        vec3 spectrogramColor(float intensity) {
-            if (intensity < 0.01) {
-                return vec3(0.0);
-            }
-            
-            // 使用你的颜色 + IQ调色板混合
-            vec3 dark = vec3(0.28, 0.27, 0.91);
-            vec3 mid = vec3(0.8, 0.36, 0.57);
-            vec3 bright = vec3(0.88, 0.43, 0.35);
-            vec3 core = vec3(0.86, 0.47, 0.28);
-            
-            vec3 color;
-            if (intensity < 0.25) {
-                float t = smoothstep(0.0, 0.25, intensity);
-                color = mix(dark, mid, t);
-            } else if (intensity < 0.6) {
-                float t = smoothstep(0.25, 0.6, intensity);
-                color = mix(mid, bright, t);
-            } else {
-                float t = smoothstep(0.6, 1.0, intensity);
-                color = mix(bright, core, t);
-            }
-            
-            // 添加IQ调色板增强
-            vec3 iqColor = palette(intensity + time * 0.1,
-                                vec3(0.5, 0.5, 0.5),
-                                vec3(0.3, 0.3, 0.3),
-                                vec3(1.0, 1.0, 0.5),
-                                vec3(0.8, 0.9, 0.3));
-            
-            // 混合两种颜色系统
-            color = mix(color, iqColor, 0.3 * intensity);
-            
-            // 边缘软化
-            float softEdge = smoothstep(0.0, 0.05, intensity);
-            color *= softEdge;
-            
-            return color;
-        }
-
-        void main() {
-            vec2 uv = vUv;
-            vec4 texel = texture2D(spectrogramTexture, uv);
-            float intensity = texel.r;
-            
-            // 高级色差效果
-            float aberrationStrength = intensity * 0.004 + 0.003 * sin(fract(time) * 2.0);
-            
-            // 分别采样RGB，加入时间偏移
-            float intensityR = texture2D(spectrogramTexture, uv + vec2(-aberrationStrength, 0.0)).r;
-            float intensityG = intensity;
-            float intensityB = texture2D(spectrogramTexture, uv + vec2(aberrationStrength, 0.0)).r;
-            
-            vec3 colorR = spectrogramColor(intensityR);
-            vec3 colorG = spectrogramColor(intensityG);
-            vec3 colorB = spectrogramColor(intensityB);
-            
-            vec3 chromaticColor = vec3(colorR.r, colorG.g, colorB.b);
-            vec3 originalColor = spectrogramColor(intensity);
-            vec3 color = mix(originalColor, chromaticColor, 0.6);
-            
-            // Bloom - 使用手动传入的纹理尺寸
-            vec2 texelSize = 1.0 / textureSize;
-            float bloom = 0.0;
-            
-            // 高斯模糊般的bloom
-            for (int x = -3; x <= 3; x++) {
-                for (int y = -3; y <= 3; y++) {
-                    vec2 offset = vec2(float(x), float(y)) * texelSize;
-                    float sampleValue = texture2D(spectrogramTexture, uv + offset).r; 
-                    float weight = exp(-float(x*x + y*y) * 0.2);
-                    bloom += sampleValue * weight;  // 使用新名称
-                }
-            }
-            bloom *= bloomIntensity * 0.02;
-            
-            // 添加噪声细节
-            float noiseDetail = noise(vec2(uv.x, uv.y * 512.0)) * 0.05 * intensity;
-            color *= noiseDetail * (50.0 * (0.5 + sin(fract(time)) * 0.5));
-            color = clamp(color, 0.0, 1.0);
-
-            // Bloom也应用相同颜色映射
-            vec3 bloomColor = spectrogramColor(bloom);
-            color += bloomColor * bloomIntensity + color * bloomColor;
-            
-            // 添加动态效果
-            float shimmer = 1.0 + (1.0 - 0.5 * sin(fract(time) + uv.x * 5.0)) * intensity;
-            color *= vec3(shimmer );
-            color = pow(color, vec3(1.0 / gamma)) * exposure;
-            color = clamp(color, 0.0, 1.0);
-            
-            gl_FragColor = vec4(color, 1.0);
-        }`;
-
-        this.spectrogramMaterial = new THREE.ShaderMaterial({
-            vertexShader,
-            fragmentShader,
-            uniforms: {
-                spectrogramTexture: { value: this.spectrogramTexture },
-                bloomIntensity: { value: this.config.bloomIntensity },
-                time: { value: 0 },
-                textureSize: { 
-                    value: new THREE.Vector2(
-                        this.config.spectrogramWidth, 
-                        this.config.melBands
-                    ) 
-                },
-                exposure: { value: this.config.exposure },
-                gamma: { value: this.config.gamma }
-            }
-    });
-    
-    console.log('✅ Material created with ShaderMaterial');
+    // localStorage 键：上次使用的配置、用户保存的预设
+    const CONFIG_STORAGE_KEY = 'spectrogramme.config';
+    const PRESET_STORAGE_KEY = 'spectrogramme.presets';
+    const INPUT_DEVICE_STORAGE_KEY = 'spectrogramme.inputDevice';
 
-    // 创建平面几何体和网格
-    const geometry = new THREE.PlaneGeometry(1.8, 1.6);
-    const mesh = new THREE.Mesh(geometry, this.spectrogramMaterial);
-    this.scene.add(mesh);
-    
-    console.log('✅ Mesh added to scene');
-}
+    // 输入电平表：电平条的下限 (dBFS) 和削波提示的保持时间（毫秒）
+    const INPUT_METER_FLOOR_DB = -60;
+    const CLIP_HOLD_MS = 1500;
 
-    /**
-     * 初始化音频系统
-     */
-    async initAudio() {
-        try {
-            this.audioContext = new (window.AudioContext || window.webkitAudioContext)();
-            this.analyser = this.audioContext.createAnalyser();
-            this.analyser.fftSize = this.config.fftSize;
-            this.analyser.smoothingTimeConstant = this.config.smoothing;
-            this.dataArray = new Uint8Array(this.analyser.frequencyBinCount);
-            console.log('🎵 Audio system initialized');
-        } catch (error) {
-            console.error('❌ Audio initialization failed:', error);
-            throw error;
-        }
-    }
+    // 多声道视图中上下堆叠的频谱图平面之间的间隔（世界坐标）
+    const CHANNEL_PLANE_GAP = 0.04;
+
+    // 波形和响度带：每条的高度（世界坐标）和响度带的下限 (dBFS)
+    const LEVEL_LANE_HEIGHT = 0.14;
+    const LEVEL_LANE_FLOOR_DB = -60;
+
+    // 相似片段搜索：每批计算的起点数，没有控制面板时的最低得分，以及开启容差时的时间伸缩比例和频率平移（频带数）
+    const MATCH_CHUNK_FRAMES = 200;
+    const MATCH_MIN_SCORE = 0.6;
+    const MATCH_STRETCHES = [0.9, 1, 1.1];
+    const MATCH_MAX_SHIFT_BANDS = 2;
+
+    // 3D 瀑布图：网格每个方向的最大分段数，2D ⇄ 3D 切换动画时长（秒），透视相机视角（度）
+    const WATERFALL_MAX_SEGMENTS = 1024;
+    const WATERFALL_TRANSITION_SECONDS = 0.6;
+    const WATERFALL_FOV = 45;
+
+    // 批量处理：缩略图宽度（像素，高度为频带数），以及按扩展名识别音频文件（部分系统不提供 MIME 类型）
+    const BATCH_THUMBNAIL_WIDTH = 240;
+    const AUDIO_FILE_PATTERN = /\.(wav|mp3|flac|ogg|oga|opus|m4a|aac|aif|aiff|webm)$/i;
 
     /**
-     * 创建 Mel 滤波器组
+     * 内置预设：在默认配置基础上覆盖的参数
      */
-    createMelFilterBank() {
-        const sampleRate = 44100;
-        const nfft = this.config.fftSize / 2;
-        const nMels = this.config.melBands;
-        
-        // Mel 尺度转换函数
-        const hzToMel = (hz) => 2595 * Math.log10(1 + hz / 700);
-        const melToHz = (mel) => 700 * (Math.pow(10, mel / 2595) - 1);
-        
-        // 创建 Mel 刻度点
-        const melMin = hzToMel(500);
-        const melMax = hzToMel(sampleRate / 2);
-        const melPoints = [];
-        for (let i = 0; i <= nMels + 1; i++) {
-            melPoints.push(melMin + (melMax - melMin) * i / (nMels + 1));
-        }
-        
-        // 转换回 Hz
-        const hzPoints = melPoints.map(melToHz);
-        
-        // 创建滤波器组
-        this.melFilterBank = [];
-        for (let m = 1; m <= nMels; m++) {
-            const filter = new Array(nfft).fill(0);
-            const left = hzPoints[m - 1];
-            const center = hzPoints[m];
-            const right = hzPoints[m + 1];
-            
-            for (let k = 0; k < nfft; k++) {
-                const freq = k * sampleRate / (2 * nfft);
-                
-                if (freq >= left && freq <= center) {
-                    filter[k] = (freq - left) / (center - left);
-                } else if (freq > center && freq <= right) {
-                    filter[k] = (right - freq) / (right - center);
-                }
+    const PRESETS = {
+        songbirds: {
+            label: 'Songbirds',
+            config: {
+                fftSize: 512, hopSize: 128, windowType: 'hann', melBands: 256, frequencyScale: 'linear',
+                minFreq: 1000, maxFreq: 12000, smoothing: 0.2,
+                floorDb: -100, ceilingDb: -30, colormap: 'magma', analysisMode: true,
+                detectMinFreq: 2000, detectMaxFreq: 10000
+            }
+        },
+        owls: {
+            label: 'Owls / low frequency',
+            config: {
+                fftSize: 4096, hopSize: 1024, windowType: 'blackmanHarris', melBands: 128,
+                minFreq: 50, maxFreq: 2000, smoothing: 0.5,
+                floorDb: -110, ceilingDb: -30, colormap: 'inferno', analysisMode: true,
+                detectMinFreq: 150, detectMaxFreq: 1500, detectMinDuration: 0.1
+            }
+        },
+        speech: {
+            label: 'Speech',
+            config: {
+                fftSize: 1024, hopSize: 256, windowType: 'hamming', melBands: 128,
+                minFreq: 80, maxFreq: 8000, smoothing: 0.3,
+                floorDb: -90, ceilingDb: -20, colormap: 'viridis', analysisMode: true,
+                detectMinFreq: 300, detectMaxFreq: 3400
+            }
+        },
+        music: {
+            label: 'Music',
+            config: {
+                fftSize: 4096, hopSize: 512, windowType: 'blackmanHarris', melBands: 256, frequencyScale: 'log',
+                minFreq: 30, maxFreq: 16000, smoothing: 0.5,
+                floorDb: -100, ceilingDb: -10, colormap: 'artistic', analysisMode: false,
+                bloomIntensity: 0.9, exposure: 1.2, gamma: 1.0
             }
-            this.melFilterBank.push(filter);
         }
-        
-        console.log(`🔧 Mel filter bank created: ${nMels} bands`);
-    }
+    };
 
     /**
-     * 初始化控制事件
+     * 配置项 → 控件：label 为数值标签，digits 为标签小数位，scale 为控件单位/配置单位
+     * 取值范围（配置单位）：values 为允许的取值，min/max 为闭区间，integer 要求整数
+     * 校验只依赖这张表，没有控制面板时（嵌入使用）同样生效
      */
-    initControls() {
-        // 录音控制
-        document.getElementById('startBtn').addEventListener('click', () => this.startRecording());
-        document.getElementById('stopBtn').addEventListener('click', () => this.stopRecording());
-        
-        // 文件上传
-        document.getElementById('fileInput').addEventListener('change', (e) => {
-            if (e.target.files[0]) this.loadAudioFile(e.target.files[0]);
-        });
-
-        // 参数控制
-        this.setupParameterControls();
-    }
+    const CONFIG_CONTROLS = {
+        fftSize: { id: 'fftSize', values: [512, 1024, 2048, 4096] },
+        hopSize: { id: 'hopSize', values: [128, 256, 512, 1024] },
+        windowType: { id: 'windowType', values: ['hann', 'hamming', 'blackmanHarris'] },
+        channelView: { id: 'channelView', values: ['mix', 'channels', 'midSide'] },
+        melBands: { id: 'melBands', label: 'melBandsValue', min: 64, max: 256, integer: true },
+        frequencyScale: { id: 'frequencyScale', values: Object.keys(FREQUENCY_SCALES) },
+        spectrogramWidth: { id: 'spectrogramWidth', values: [600, 1200, 2400, 4800] },
+        minFreq: { id: 'minFreq', min: 0, max: 48000 },
+        maxFreq: { id: 'maxFreq', min: 0, max: 48000 },
+        smoothing: { id: 'smoothing', label: 'smoothingValue', min: 0, max: 0.95 },
+        floorDb: { id: 'floorDb', label: 'floorDbValue', min: -160, max: -30 },
+        ceilingDb: { id: 'ceilingDb', label: 'ceilingDbValue', min: -90, max: 0 },
+        autoGain: { id: 'autoGain' },
+        colormap: { id: 'colormap', values: Object.keys(COLORMAPS) },
+        showLevelLanes: { id: 'showLevelLanes' },
+        analysisMode: { id: 'analysisMode' },
+        waterfall: { id: 'waterfall' },
+        waterfallHeight: { id: 'waterfallHeight', label: 'waterfallHeightValue', digits: 2, min: 0.1, max: 1.5 },
+        bloomIntensity: { id: 'bloomIntensity', label: 'bloomValue', min: 0.4, max: 2 },
+        scrollSpeed: { id: 'scrollSpeed', min: 1, max: 4 },
+        exposure: { id: 'exposure', label: 'exposureValue', digits: 1, min: 0.5, max: 3 },
+        gamma: { id: 'gamma', label: 'gammaValue', digits: 1, min: 0.5, max: 2 },
+        detectMinFreq: { id: 'detectMinFreq', min: 0, max: 48000 },
+        detectMaxFreq: { id: 'detectMaxFreq', min: 0, max: 48000 },
+        detectThresholdDb: { id: 'detectThresholdDb', label: 'detectThresholdDbValue', min: 3, max: 30 },
+        detectMinDuration: { id: 'detectMinDuration', scale: 1000, min: 0, max: 5 },
+        showPitch: { id: 'showPitch' },
+        pitchThresholdDb: { id: 'pitchThresholdDb', label: 'pitchThresholdDbValue', min: 5, max: 60 },
+        processing: { id: 'processing' },
+        highPassFreq: { id: 'highPassFreq', min: 0, max: 48000 },
+        lowPassFreq: { id: 'lowPassFreq', min: 0, max: 48000 },
+        bandPassFreq: { id: 'bandPassFreq', min: 0, max: 48000 },
+        bandPassQ: { id: 'bandPassQ', min: 0.1, max: 30 },
+        noiseReduction: { id: 'noiseReduction', label: 'noiseReductionValue', digits: 1, min: 0, max: 3 },
+        preRollSeconds: { id: 'preRollSeconds', values: [10, 30, 60] },
+        echoCancellation: { id: 'echoCancellation' },
+        noiseSuppression: { id: 'noiseSuppression' },
+        autoGainControl: { id: 'autoGainControl' }
+    };
 
     /**
-     * 设置参数控制
+     * 鸣叫事件检测器
+     * 逐帧输入频带频谱 (dB)，在指定频带内寻找高于自适应噪声底的能量突发，
+     * 事件结束时由 process/flush 返回事件对象（时间单位为秒，频率为 Hz）
      */
-    setupParameterControls() {
-        // FFT 大小
-        document.getElementById('fftSize').addEventListener('change', (e) => {
-            this.config.fftSize = parseInt(e.target.value);
-            this.reinitializeAudio();
-            this.createMelFilterBank();
-        });
-
-        // Mel 频带数
-        document.getElementById('melBands').addEventListener('input', (e) => {
-            this.config.melBands = parseInt(e.target.value);
-            document.getElementById('melBandsValue').textContent = this.config.melBands;
-            this.createMelFilterBank();
-            this.recreateTexture();
-        });
-
-        // 平滑度
-        document.getElementById('smoothing').addEventListener('input', (e) => {
-            this.config.smoothing = parseFloat(e.target.value);
-            document.getElementById('smoothingValue').textContent = this.config.smoothing;
-            if (this.analyser) this.analyser.smoothingTimeConstant = this.config.smoothing;
-        });
+    class EventDetector {
+        constructor({ bandCenters, minFreq, maxFreq, thresholdDb, minDuration, secondsPerFrame }) {
+            this.bandCenters = bandCenters;
+            this.lowBand = bandCenters.findIndex(f => f >= minFreq);
+            this.highBand = bandCenters.length - 1 - [...bandCenters].reverse().findIndex(f => f <= maxFreq);
+            if (this.lowBand < 0 || this.highBand >= bandCenters.length) this.lowBand = this.highBand + 1;
+            
+            this.thresholdDb = thresholdDb;
+            this.secondsPerFrame = secondsPerFrame;
+            this.minFrames = Math.max(1, Math.ceil(minDuration / secondsPerFrame));
+            this.maxGapFrames = Math.max(1, Math.round(EVENT_MERGE_GAP / secondsPerFrame));
+            
+            // 噪声底：下降快 (0.2s)、上升慢 (5s)
+            this.fallCoeff = 1 - Math.exp(-secondsPerFrame / 0.2);
+            this.riseCoeff = 1 - Math.exp(-secondsPerFrame / 5);
+            this.noiseFloor = null;
+            
+            this.current = null;
+            this.gapFrames = 0;
+        }
 
-        // Bloom 强度
-        document.getElementById('bloomIntensity').addEventListener('input', (e) => {
-            this.config.bloomIntensity = parseFloat(e.target.value);
-            document.getElementById('bloomValue').textContent = this.config.bloomIntensity;
-            if (this.spectrogramMaterial) {
-                this.spectrogramMaterial.uniforms.bloomIntensity.value = this.config.bloomIntensity;
+        /**
+         * 处理第 index 帧，有事件结束时返回该事件
+         */
+        process(frame, index) {
+            if (this.lowBand > this.highBand) return null;
+            
+            let power = 0;
+            for (let b = this.lowBand; b <= this.highBand; b++) {
+                power += Math.pow(10, frame[b] / 10);
             }
-        });
-
-        // // 滚动速度
-        // document.getElementById('scrollSpeed').addEventListener('input', (e) => {
-        //     this.config.scrollSpeed = parseFloat(e.target.value);
-        //     document.getElementById('scrollSpeedValue').textContent = this.config.scrollSpeed;
-        // });
-
-        const exposureControl = document.getElementById('exposure');
-        if (exposureControl) {
-            exposureControl.addEventListener('input', (e) => {
-                this.config.exposure = parseFloat(e.target.value);
-                document.getElementById('exposureValue').textContent = this.config.exposure.toFixed(1);
-                if (this.spectrogramMaterial) {
-                    this.spectrogramMaterial.uniforms.exposure.value = this.config.exposure;
+            const energy = power > 0 ? 10 * Math.log10(power) : SILENCE_DB;
+            if (this.noiseFloor === null) this.noiseFloor = energy;
+            
+            let finished = null;
+            if (energy > this.noiseFloor + this.thresholdDb) {
+                if (!this.current) {
+                    this.current = {
+                        startIndex: index,
+                        endIndex: index,
+                        peakDb: SILENCE_DB,
+                        peakBand: this.lowBand,
+                        bandMax: new Float32Array(this.highBand - this.lowBand + 1).fill(SILENCE_DB)
+                    };
                 }
-            });
+                
+                const event = this.current;
+                event.endIndex = index;
+                for (let b = this.lowBand; b <= this.highBand; b++) {
+                    const i = b - this.lowBand;
+                    if (frame[b] > event.bandMax[i]) event.bandMax[i] = frame[b];
+                    if (frame[b] > event.peakDb) {
+                        event.peakDb = frame[b];
+                        event.peakBand = b;
+                    }
+                }
+                this.gapFrames = 0;
+            } else if (this.current && ++this.gapFrames > this.maxGapFrames) {
+                finished = this.finish();
+            }
+            
+            // 事件进行中冻结噪声底，避免长鸣叫把噪声底抬高
+            if (!this.current) {
+                const coeff = energy < this.noiseFloor ? this.fallCoeff : this.riseCoeff;
+                this.noiseFloor += coeff * (energy - this.noiseFloor);
+            }
+            
+            return finished;
         }
 
-        // Gamma 控制
-        const gammaControl = document.getElementById('gamma');
-        if (gammaControl) {
-            gammaControl.addEventListener('input', (e) => {
-                this.config.gamma = parseFloat(e.target.value);
-                document.getElementById('gammaValue').textContent = this.config.gamma.toFixed(1);
-                if (this.spectrogramMaterial) {
-                    this.spectrogramMaterial.uniforms.gamma.value = this.config.gamma;
+        /**
+         * 结束进行中的事件（例如数据结束时）
+         */
+        flush() {
+            return this.current ? this.finish() : null;
+        }
+
+        finish() {
+            const event = this.current;
+            this.current = null;
+            this.gapFrames = 0;
+            if (event.endIndex - event.startIndex + 1 < this.minFrames) return null;
+            
+            // 频率范围取峰值以下 EVENT_BOX_RANGE_DB 以内的频带
+            let low = event.peakBand;
+            let high = event.peakBand;
+            event.bandMax.forEach((db, i) => {
+                if (db >= event.peakDb - EVENT_BOX_RANGE_DB) {
+                    low = Math.min(low, i + this.lowBand);
+                    high = Math.max(high, i + this.lowBand);
                 }
             });
+            
+            return {
+                start: event.startIndex * this.secondsPerFrame,
+                end: (event.endIndex + 1) * this.secondsPerFrame,
+                lowFreq: this.bandCenters[low],
+                highFreq: this.bandCenters[high],
+                peakFreq: this.bandCenters[event.peakBand],
+                peakDb: event.peakDb
+            };
         }
     }
 
-    /**
-     * 开始录音
-     */
-    async startRecording() {
-        try {
-            const stream = await navigator.mediaDevices.getUserMedia({ audio: true });
-            const source = this.audioContext.createMediaStreamSource(stream);
-            source.connect(this.analyser);
+    class SpectrogramVisualizer extends EventTarget {
+        /**
+         * container 为频谱图所在的容器，画布和坐标轴由组件创建；options 见文件开头
+         */
+        constructor(container, options = {}) {
+            super();
             
-            this.isRecording = true;
+            // DOM 元素
+            this.container = container;
+            this.controls = options.controls || null;   // 可选的控制面板，控件按 id 查找
+            this.persist = options.persist || false;    // 是否读写 localStorage 和 URL hash
+            this.workletUrl = options.workletUrl || 'stft-processor.js';
+            this.lifetime = new AbortController();      // destroy 时一次性移除所有事件监听
+            this.destroyed = false;
+            this.animationFrame = null;
+            this.resizeObserver = null;
+            this.createDisplayElements();
+            this.overlayCtx = this.overlay.getContext('2d');
+            this.pointer = null;        // 鼠标在页面上的位置，离开画布时为 null
+            this.timeAxisKey = '';      // 时间轴刻度未变化时不重建 DOM
+            
+            // Three.js 核心对象
+            this.scene = null;
+            this.camera = null;
+            this.renderer = null;
+            
+            // 音频相关
+            this.audioContext = null;
+            this.analyser = null;
+            this.dataArray = null;
+            this.isRecording = false;
+            this.micSource = null;
+            this.micStream = null;      // 当前实时音源的流
+            this.micOwned = false;      // micStream 由 getUserMedia 打开，停止时结束其音轨以释放麦克风；外部传入的流由调用者结束
+            this.inputMeter = null;     // 麦克风原始输入的电平表 { splitter, analysers, buffers }
+            this.clipTime = 0;          // 最近一次输入削波的时间 (ms)
+            this.outputGain = null;     // analyser → 扬声器，麦克风输入时静音以免啸叫
+            this.chainInput = null;     // 预处理链入口：所有音源接到这里，经滤波器后进入 analyser
+            this.filterNodes = null;    // 当前接入的滤波器，null 表示预处理链尚未连接
+            this.stftNode = null;       // AudioWorklet 分帧节点，不可用时退回逐帧读取 analyser
+            this.liveSmoothed = null;   // 实时 STFT 的幅度平滑状态
+            this.analysisWindow = null; // 窗表 { table, sum }
+            this.noiseProfile = null;   // 谱减噪声谱 { magnitudes, sampleRate, seconds }，magnitudes 为每个频点的平均线性幅度
+            this.noiseLearning = null;  // 实时模式正在采集的噪声 { sum, count, target }
+            this.liveChannelCount = 1;  // 麦克风实际声道数
+            this.channelSplitter = null; // analyser → 各声道通道的分离节点
+            this.channelPlanes = [];    // 逐声道或 Side 通道，见 createChannelPlane
+            this.primaryLabel = null;   // 主平面（混合/Mid）的标签，只在有其他通道时显示
+            
+            // 对比参考录音：{ buffer, name }，分析结果显示在 comparePlane
+            this.comparison = null;
+            this.comparePlane = null;
+            this.compareView = 'split'; // 'split' 上下并排 | 'difference' 差值 | 'overlay' 双色叠加
+            
+            // 显示模式：'live' 实时滚动，'file' 整个文件离线分析
+            this.mode = 'live';
+            this.fileBuffer = null;
+            this.fileName = null;
+            this.analysisToken = 0;
+            this.liveFrameCount = 0;    // 本次录音开始以来产生的总列数
+            
+            // 麦克风录音：本次录音的完整 PCM（Int16 分块）和最近 N 秒的预录环形缓冲
+            this.capture = { chunks: [], length: 0, startTime: null, sampleRate: 0 };
+            this.preRoll = null;
+            
+            // 事件检测结果
+            this.events = [];
+            this.eventDetector = null;
+            this.selectedEvent = null;
+            
+            // 手动标注 { id, start, end, lowFreq, highFreq, label, note }，时间为秒、频率为 Hz
+            this.annotations = [];
+            this.nextAnnotationId = 1;
+            this.selectedAnnotation = null;
+            this.draftAnnotation = null;    // 正在拖动的标注框
+            this.annotating = false;
+            
+            // 以标注框为模板搜索到的相似片段 { start, end, lowFreq, highFreq, score }
+            this.matches = [];
+            this.selectedMatch = null;
+            this.matchToken = 0;
+            
+            // 批量处理：每个文件的统计结果，batchToken 用于取消
+            this.batchResults = [];
+            this.batchToken = 0;
+            
+            this.view = { start: 0, end: 0 }; // 文件模式下可见的帧范围
+            
+            // 播放状态机：idle → live（麦克风）或 stopped ⇄ playing ⇄ paused（文件）
+            this.state = 'idle';
+            this.playback = { source: null, startedAt: 0, offset: 0 };
+            this.loopRegion = null;     // 循环区间 { start, end }（秒）
+            this.loopEnabled = false;
+            
+            // 参数配置，分析参数和显示范围的默认值与命令行工具共用（见 dsp.js）
+            this.config = {
+                ...DEFAULT_PARAMETERS,
+                bloomIntensity: 0.7,
+                //colorTemp: 6500,
+                scrollSpeed: 1.0,   // 实时模式水平拉伸倍数，越大滚动越快、可见时间越短
+                spectrogramWidth: 600, // 频谱图宽度（时间维度）
+                exposure: 1.2,      // 曝光度
+                gamma: 1.0,         // Gamma 校正
+                autoGain: false,    // 自动增益：上限跟随峰值，保持 ceiling - floor 的动态范围
+                showLevelLanes: true, // 频谱图下方的波形和响度带
+                analysisMode: false, // 分析模式：关闭所有艺术效果，颜色只取决于强度
+                waterfall: false,    // 3D 瀑布图：强度作为高度，透视相机可旋转
+                waterfallHeight: 0.5, // 瀑布图中强度 1 对应的高度（世界坐标）
+                preRollSeconds: 30,  // 麦克风预录缓冲长度（秒）
+                detectMinFreq: 1000,     // 事件检测频带下限 (Hz)
+                detectMaxFreq: 10000,    // 事件检测频带上限 (Hz)
+                detectThresholdDb: 10,   // 高出噪声底多少 dB 视为事件
+                detectMinDuration: 0.05, // 最短事件时长（秒）
+                showPitch: false,        // 主频轨迹
+                pitchThresholdDb: 20,    // 峰值高出平均电平多少 dB 才算有效音高
+                processing: true,        // 预处理链总开关，关闭即可对比处理前后
+                highPassFreq: 0,         // 高通截止频率 (Hz)，0 为关闭
+                lowPassFreq: 0,          // 低通截止频率 (Hz)，0 为关闭
+                bandPassFreq: 0,         // 带通中心频率 (Hz)，0 为关闭
+                bandPassQ: 1,
+                noiseReduction: 1,       // 谱减强度：减去噪声谱幅度的倍数，需先学习噪声
+                channelView: 'mix',      // 声道视图：mix 只显示混合，channels 逐声道堆叠，midSide 增加 Side (L−R) 通道
+                echoCancellation: false, // 浏览器的回声消除、降噪和自动增益会改变录音，默认关闭
+                noiseSuppression: false,
+                autoGainControl: false,
+            };
+            
+            // 数据存储
             this.spectrogramData = [];
+            this.envelopeData = [];     // 与 spectrogramData 逐列对应的波形包络 { min, max, rms, peak, clipped }
+            this.pitchData = [];        // 与 spectrogramData 逐列对应的主频估计 { frequency, salience }
+            this.pitchLine = null;      // 主频轨迹（主平面的子对象，随平面堆叠缩放）
+            this.timeDomainData = null; // 实时模式读取 analyser 时域数据的缓冲
+            this.levelLanes = [];       // 波形和响度带的布局 { kind, y, height }（世界坐标）
+            this.waterfallView = null;  // 3D 瀑布图 { scene, camera, mesh, blend, azimuth, elevation, distance, lastTime }
+            this.spectrogramTexture = null;
+            this.spectrogramMaterial = null;
+            this.spectrogramPlane = null;
+            this.colormapTexture = null;
+            this.autoCeilingDb = this.config.ceilingDb;
+            this.lastAutoGainTime = 0;
+            this.filterBank = null;     // { filters, bounds, centers, minFreq, maxFreq }
+            this.bandCenters = null;    // 每个频带的中心频率 (Hz)
             
-            document.getElementById('startBtn').disabled = true;
-            document.getElementById('stopBtn').disabled = false;
+            // 调用者传入的配置与默认值一起作为预设和链接的基准，再恢复链接或上次会话的配置
+            Object.assign(this.config, this.sanitizeConfig(options.config || {}));
+            this.defaultConfig = { ...this.config };
+            if (this.persist) Object.assign(this.config, this.loadSavedConfig());
             
-            console.log('🎤 Recording started');
-        } catch (error) {
-            console.error('❌ Microphone access failed:', error);
-            alert('无法访问麦克风，请检查权限设置');
+            // 初始化，公开方法都先等待初始化完成
+            this.ready = this.init();
         }
-    }
 
-    /**
-     * 停止录音
-     */
-    stopRecording() {
-        this.isRecording = false;
-        
-        document.getElementById('startBtn').disabled = false;
-        document.getElementById('stopBtn').disabled = true;
-        
-        if (this.audioContext && this.audioContext.state !== 'closed') {
-            this.audioContext.suspend();
+        /**
+         * 初始化所有模块
+         */
+        async init() {
+            try {
+                this.initThree();
+                await this.initAudio();
+                this.createFilterBank();
+                if (this.controls) this.initControls();
+                this.setupViewControls();
+                this.layoutPlanes();
+                this.updateTimingLabels();
+                this.animate();
+                console.log('✅ Spectrogram visualizer initialized successfully');
+            } catch (error) {
+                this.reportError('Initialization failed', error, '频谱图初始化失败');
+            }
         }
-        
-        console.log('⏹ Recording stopped');
-    }
 
-    /**
-     * 加载音频文件
-     */
-    async loadAudioFile(file) {
-        const loading = document.getElementById('loading');
-        loading.classList.remove('hidden');
-        
-        try {
-            const arrayBuffer = await file.arrayBuffer();
-            const audioBuffer = await this.audioContext.decodeAudioData(arrayBuffer);
-            
-            const source = this.audioContext.createBufferSource();
-            source.buffer = audioBuffer;
-            source.connect(this.analyser);
+        /**
+         * 在容器中创建 WebGL 画布、2D 覆盖层、坐标轴和鼠标读数
+         */
+        createDisplayElements() {
+            if (getComputedStyle(this.container).position === 'static') {
+                this.container.style.position = 'relative';
+            }
             
-            this.spectrogramData = [];
-            this.isRecording = true;
+            const create = (tag, className) => {
+                const element = document.createElement(tag);
+                element.className = className;
+                return element;
+            };
+            this.canvas = create('canvas', 'spectrogram-canvas');
+            this.overlay = create('canvas', 'spectrogram-overlay');  // 2D 覆盖层：十字线等
+            this.timeAxis = create('div', 'time-axis');
+            this.freqAxis = create('div', 'freq-axis');              // 刻度由 updateFrequencyAxis 根据频带中心频率生成
+            this.cursorReadout = create('div', 'cursor-readout hidden');
             
-            source.start();
+            // 颜色条图例：色带由 updateColorLegend 绘制，上下限文字由 updateLevelUniforms 更新
+            this.colorLegend = create('div', 'color-legend');
+            this.legendCanvas = create('canvas', '');
+            this.legendCanvas.id = 'colorLegendCanvas';
+            this.legendCanvas.width = 12;
+            this.legendCanvas.height = 256;
+            const legendLabels = create('div', 'legend-labels');
+            this.legendMax = create('span', '');
+            this.legendMax.id = 'legendMax';
+            this.legendMin = create('span', '');
+            this.legendMin.id = 'legendMin';
+            legendLabels.append(this.legendMax, this.legendMin);
+            this.colorLegend.append(this.legendCanvas, legendLabels);
             
-            document.getElementById('startBtn').disabled = true;
-            document.getElementById('stopBtn').disabled = false;
+            this.displayElements = [this.canvas, this.overlay, this.timeAxis, this.cursorReadout, this.freqAxis, this.colorLegend];
+            this.container.prepend(...this.displayElements);
+        }
+
+        /**
+         * 按 id 查找元素：先在容器中找，再在控制面板中找，都没有时返回 null
+         */
+        element(id) {
+            return this.container.querySelector(`#${id}`)
+                || (this.controls && this.controls.querySelector(`#${id}`));
+        }
+
+        /**
+         * 设置可选控件的属性，控件不存在时忽略
+         */
+        setControl(id, property, value) {
+            const control = this.element(id);
+            if (control) control[property] = value;
+        }
+
+        /**
+         * 添加事件监听，destroy 时统一移除；目标不存在时忽略（控件都是可选的）
+         */
+        on(target, type, handler, options = {}) {
+            if (!target) return;
+            target.addEventListener(type, handler, { ...options, signal: this.lifetime.signal });
+        }
+
+        /**
+         * 派发组件事件，数据放在 event.detail
+         */
+        emit(type, detail) {
+            this.dispatchEvent(new CustomEvent(type, { detail }));
+        }
+
+        /**
+         * 报告错误：写入控制台并派发 error 事件，有控制面板时同时弹出提示
+         * error 为 null 时是操作条件不满足（如未选中标注框），只记警告
+         */
+        reportError(log, error, message) {
+            if (error) {
+                console.error(`❌ ${log}:`, error);
+            } else {
+                console.warn(`⚠️ ${log}`);
+            }
+            this.emit('error', { error, message });
+            if (this.controls) alert(message);
+        }
+
+        /**
+         * 公开接口：离线分析一个 AudioBuffer（文件模式），name 用于导出的文件名
+         */
+        async loadBuffer(audioBuffer, name = 'audio') {
+            await this.ready;
+            if (this.state === 'live') this.stopRecording();
+            this.stopPlayback();
+            this.mode = 'file';
+            this.fileBuffer = audioBuffer;
+            this.fileName = name;
+            this.loopRegion = null;
+            this.clearAnnotations();
+            this.clearMatches();
+            this.createFilterBank();
+            this.updateTimingLabels();
+            this.setState('stopped');
             
-            // 自动停止
-            setTimeout(() => {
-                this.stopRecording();
-            }, audioBuffer.duration * 1000);
+            await this.analyzeCurrentFile();
             
-            console.log(`📁 Audio file loaded: ${file.name}`);
-        } catch (error) {
-            console.error('❌ Audio file loading failed:', error);
-            alert('音频文件加载失败');
-        } finally {
-            loading.classList.add('hidden');
+            console.log(`📁 Audio loaded: ${name} (${audioBuffer.duration.toFixed(1)}s)`);
         }
-    }
 
-    /**
-     * 重新初始化音频分析器
-     */
-    reinitializeAudio() {
-        if (this.analyser) {
-            this.analyser.fftSize = this.config.fftSize;
-            this.dataArray = new Uint8Array(this.analyser.frequencyBinCount);
+        /**
+         * 公开接口：实时显示调用者提供的 MediaStream（例如 WebRTC 远端音频）
+         * 停止时只断开连接，不结束调用者的音轨
+         */
+        async attachStream(stream) {
+            await this.ready;
+            await this.startLive(() => this.connectStream(stream, false));
+            console.log('🔌 Stream attached');
         }
-    }
 
-    /**
-     * 重新创建纹理
-     */
-recreateTexture() {
-    const textureData = new Uint8Array(this.config.spectrogramWidth * this.config.melBands * 4);
-    this.spectrogramTexture.dispose();
-    this.spectrogramTexture = new THREE.DataTexture(
-        textureData, 
-        this.config.spectrogramWidth, 
-        this.config.melBands, 
-        THREE.RGBAFormat
-    );
-    this.spectrogramTexture.minFilter = THREE.LinearFilter;
-    this.spectrogramTexture.magFilter = THREE.LinearFilter;
-    this.spectrogramMaterial.uniforms.spectrogramTexture.value = this.spectrogramTexture;
-    
-    // 更新纹理尺寸
-    this.spectrogramMaterial.uniforms.textureSize.value = new THREE.Vector2(
-        this.config.spectrogramWidth, 
-        this.config.melBands
-    );
-    
-    this.spectrogramData = [];
-}
+        /**
+         * 公开接口：修改配置，只重建受影响的部分；未知配置项和不合法的值被忽略
+         */
+        async setConfig(values) {
+            await this.ready;
+            this.applyConfig(values);
+        }
 
-    /**
-     * 应用 Mel 滤波
-     */
-    applyMelFiltering(fftData) {
-        const melData = new Array(this.config.melBands);
-        
-        for (let m = 0; m < this.config.melBands; m++) {
-            let sum = 0;
-            for (let k = 0; k < fftData.length; k++) {
-                sum += fftData[k] * this.melFilterBank[m][k];
+        /**
+         * 公开接口：停止音频、释放麦克风和 GPU 资源，移除组件创建的元素和所有事件监听
+         */
+        destroy() {
+            if (this.destroyed) return;
+            this.destroyed = true;
+            
+            cancelAnimationFrame(this.animationFrame);
+            this.lifetime.abort();
+            if (this.resizeObserver) this.resizeObserver.disconnect();
+            this.analysisToken++;
+            this.matchToken++;
+            this.batchToken++;
+            
+            if (this.state === 'live') this.stopRecording();
+            this.stopPlayback();
+            if (this.stftNode) {
+                this.stftNode.port.onmessage = null;
+                this.stftNode.disconnect();
+            }
+            if (this.audioContext) this.audioContext.close();
+            
+            // 附加平面自带纹理和标签，其余几何体和材质随场景一起释放
+            if (this.scene) {
+                this.disposeChannelPlanes();
+                if (this.comparePlane) this.removePlane(this.comparePlane);
+                [this.scene, this.waterfallView && this.waterfallView.scene].forEach((scene) => {
+                    if (!scene) return;
+                    scene.traverse((object) => {
+                        if (object.geometry) object.geometry.dispose();
+                        if (object.material) object.material.dispose();
+                    });
+                });
+                [this.spectrogramTexture, this.columnTexture, this.colormapTexture].forEach((texture) => {
+                    if (texture) texture.dispose();
+                });
+            }
+            if (this.renderer) {
+                this.renderer.dispose();
+                this.renderer.forceContextLoss();
             }
-            melData[m] = sum / 255.0; // 归一化到 0-1
+            
+            if (this.primaryLabel) this.primaryLabel.remove();
+            this.displayElements.forEach(element => element.remove());
+            this.container.classList.remove('spectrogram-waterfall');
+            console.log('🗑 Spectrogram visualizer destroyed');
         }
-        
-        return melData;
-    }
 
-    /**
-     * 更新频谱图数据
-     */
-    updateSpectrogram() {
-        if (!this.isRecording || !this.analyser) return;
+        /**
+         * 初始化 Three.js 场景
+         */
+        initThree() {
+            console.log('🎬 Initializing Three.js...');
+            
+            // 检查WebGL支持
+            if (!window.WebGLRenderingContext) {
+                this.reportError('WebGL not supported', null, '您的浏览器不支持WebGL，无法显示频谱图');
+                return;
+            }
+
+            // 创建场景
+            this.scene = new THREE.Scene();
+            console.log('✅ Scene created');
+
+            // 创建正交相机（2D视图）
+            const viewport = this.getViewportSize();
+            const aspect = viewport.width / viewport.height;
+            this.camera = new THREE.OrthographicCamera(
+                -aspect, aspect, 1, -1, 0.1, 1000
+            );
+            this.camera.position.z = 1;
+            console.log('✅ Camera created');
+
+            // 创建渲染器
+            this.renderer = new THREE.WebGLRenderer({ 
+                canvas: this.canvas, 
+                antialias: true,
+                alpha: true,
+                context: this.canvas.getContext('webgl2')
+            });
+            
+            if (!this.renderer) {
+                console.error('❌ WebGL renderer creation failed');
+                return;
+            }
+            
+            this.renderer.setSize(viewport.width, viewport.height);
+            this.renderer.setPixelRatio(window.devicePixelRatio);
+            this.resizeOverlay();
+            console.log('✅ Renderer created');
+
+            // 创建频谱图平面、主频轨迹和 3D 瀑布图
+            this.createSpectrogramPlane();
+            this.createPitchContour();
+            this.createWaterfall();
+
+            // 容器大小变化（包括窗口缩放和控制面板折叠）时调整画布
+            if (window.ResizeObserver) {
+                this.resizeObserver = new ResizeObserver(() => this.onResize());
+                this.resizeObserver.observe(this.container);
+            } else {
+                this.on(window, 'resize', () => this.onResize());
+            }
+            
+            console.log('✅ Three.js initialization complete');
+        }
 
-        // 获取频域数据
-        this.analyser.getByteFrequencyData(this.dataArray);
+        /**
+         * 创建频谱图渲染平面
+         */
+     createSpectrogramPlane() {
+        console.log('🎨 Creating spectrogram plane...');
         
-        // 应用 Mel 滤波
-        const melData = this.applyMelFiltering(this.dataArray);
+        // 创建环形缓冲纹理
+        this.createSpectrogramTextures();
+        this.colormapTexture = this.createColormapTexture(this.config.colormap);
+        console.log('✅ Texture created');
+
+        // WebGL1 兼容的顶点着色器
+        const vertexShader = `
+            varying vec2 vUv;
+
+            void main() {
+                vUv = uv;
+                gl_Position = projectionMatrix * modelViewMatrix * vec4(position, 1.0);
+            }`;
+
+                // WebGL1 兼容的片元着色器 - 修复 'sample' 保留字问题
+                const fragmentShader = `
+            precision highp float;
+
+            uniform sampler2D spectrogramTexture;
+            uniform float scrollOffset;  // 环形缓冲写入头位置 (0-1)
+            uniform float viewScale;     // 水平拉伸倍数，只显示最新的 1/viewScale
+            uniform float floorDb;       // 显示下限 (dB)
+            uniform float ceilingDb;     // 显示上限 (dB)
+            uniform float bloomIntensity;
+            uniform float time;
+            uniform vec2 textureSize;
+            uniform float exposure;    // 新增：曝光度
+            uniform float gamma;       // 新增：Gamma 校正
+            uniform sampler2D colormapTexture; // 配色查找表 (256x1)
+            uniform float useArtisticPalette;  // 1.0 时使用带动画的默认调色板
+            uniform float analysisMode;        // 1.0 时颜色严格对应强度
+            uniform sampler2D compareTexture;  // 参考录音（与 spectrogramTexture 同尺寸）
+            uniform float compareMode;         // 0 关闭，1 差值，2 叠加
+
+            varying vec2 vUv;
+
+            // 从环形缓冲中采样 dB 值并映射到 0-1，x=0 为最旧的一列，x=1 为最新的一列
+            float sampleSpectrogram(vec2 uv) {
+                float db = texture2D(spectrogramTexture, vec2(uv.x + scrollOffset, uv.y)).r;
+                return clamp((db - floorDb) / (ceilingDb - floorDb), 0.0, 1.0);
+            }
+
+            // IQ调色板函数
+            vec3 palette(float t, vec3 a, vec3 b, vec3 c, vec3 d) {
+                return a + b * cos(6.28318 * (c * t + d));
+            }
+
+            // 改进的噪声函数
+            float hash(vec2 p) {
+                return fract(sin(dot(p, vec2(127.1, 311.7))) * 43758.5453);
+            }
+
+            float noise(vec2 p) {
+                vec2 i = floor(p);
+                vec2 f = fract(p);
+                f = f * f * (3.0 - 2.0 * f);
+                return mix(mix(hash(i), hash(i + vec2(1.0, 0.0)), f.x),
+                        mix(hash(i + vec2(0.0, 1.0)), hash(i + vec2(1.0, 1.0)), f.x), f.y);
+            }
+
+            // 参考录音的强度 (0-1)，文件视图不使用环形偏移
+            float sampleCompare(vec2 uv) {
+                float db = texture2D(compareTexture, uv).r;
+                return clamp((db - floorDb) / (ceilingDb - floorDb), 0.0, 1.0);
+            }
+
+            // 差值：当前录音更强处为暖色、参考更强处为冷色，共有的能量为暗灰
+            // 叠加：当前录音在红色通道、参考在青色通道，重合处接近白色
+            vec3 compareColor(float current, float reference) {
+                if (compareMode < 1.5) {
+                    float diff = current - reference;
+                    vec3 tint = diff > 0.0 ? vec3(1.0, 0.45, 0.1) : vec3(0.1, 0.6, 1.0);
+                    return vec3(min(current, reference) * 0.25) + tint * abs(diff);
+                }
+                return vec3(current, reference, reference);
+            }
+
+            // 查找表采样，映射到纹素中心
+            vec3 colormapLookup(float intensity) {
+                float u = (clamp(intensity, 0.0, 1.0) * 255.0 + 0.5) / 256.0;
+                return texture2D(colormapTexture, vec2(u, 0.5)).rgb;
+            }
+
+            vec3 spectrogramColor(float intensity) {
+                if (useArtisticPalette < 0.5) {
+                    return colormapLookup(intensity);
+                }
+                
+                if (intensity < 0.01) {
+                    return vec3(0.0);
+                }
+                
+                // 使用你的颜色 + IQ调色板混合
+                vec3 dark = vec3(0.28, 0.27, 0.91);
+                vec3 mid = vec3(0.8, 0.36, 0.57);
+                vec3 bright = vec3(0.88, 0.43, 0.35);
+                vec3 core = vec3(0.86, 0.47, 0.28);
+                
+                vec3 color;
+                if (intensity < 0.25) {
+                    float t = smoothstep(0.0, 0.25, intensity);
+                    color = mix(dark, mid, t);
+                } else if (intensity < 0.6) {
+                    float t = smoothstep(0.25, 0.6, intensity);
+                    color = mix(mid, bright, t);
+                } else {
+                    float t = smoothstep(0.6, 1.0, intensity);
+                    color = mix(bright, core, t);
+                }
+                
+                // 添加IQ调色板增强
+                vec3 iqColor = palette(intensity + time * 0.1,
+                                    vec3(0.5, 0.5, 0.5),
+                                    vec3(0.3, 0.3, 0.3),
+                                    vec3(1.0, 1.0, 0.5),
+                                    vec3(0.8, 0.9, 0.3));
+                
+                // 混合两种颜色系统
+                color = mix(color, iqColor, 0.3 * intensity);
+                
+                // 边缘软化
+                float softEdge = smoothstep(0.0, 0.05, intensity);
+                color *= softEdge;
+                
+                return color;
+            }
+
+            void main() {
+                vec2 uv = vec2(1.0 - (1.0 - vUv.x) / viewScale, vUv.y);
+                float intensity = sampleSpectrogram(uv);
+                
+                if (compareMode > 0.5) {
+                    gl_FragColor = vec4(compareColor(intensity, sampleCompare(uv)), 1.0);
+                    return;
+                }
+                
+                // 分析模式：不做色差、噪声、闪烁和 bloom
+                if (analysisMode > 0.5) {
+                    gl_FragColor = vec4(colormapLookup(intensity), 1.0);
+                    return;
+                }
+                
+                // 高级色差效果
+                float aberrationStrength = intensity * 0.004 + 0.003 * sin(fract(time) * 2.0);
+                
+                // 分别采样RGB，加入时间偏移
+                float intensityR = sampleSpectrogram(uv + vec2(-aberrationStrength, 0.0));
+                float intensityG = intensity;
+                float intensityB = sampleSpectrogram(uv + vec2(aberrationStrength, 0.0));
+                
+                vec3 colorR = spectrogramColor(intensityR);
+                vec3 colorG = spectrogramColor(intensityG);
+                vec3 colorB = spectrogramColor(intensityB);
+                
+                vec3 chromaticColor = vec3(colorR.r, colorG.g, colorB.b);
+                vec3 originalColor = spectrogramColor(intensity);
+                vec3 color = mix(originalColor, chromaticColor, 0.6);
+                
+                // Bloom - 使用手动传入的纹理尺寸
+                vec2 texelSize = 1.0 / textureSize;
+                float bloom = 0.0;
+                
+                // 高斯模糊般的bloom
+                for (int x = -3; x <= 3; x++) {
+                    for (int y = -3; y <= 3; y++) {
+                        vec2 offset = vec2(float(x), float(y)) * texelSize;
+                        float sampleValue = sampleSpectrogram(uv + offset);
+                        float weight = exp(-float(x*x + y*y) * 0.2);
+                        bloom += sampleValue * weight;  // 使用新名称
+                    }
+                }
+                bloom *= bloomIntensity * 0.02;
+                
+                // 添加噪声细节
+                float noiseDetail = noise(vec2(uv.x, uv.y * 512.0)) * 0.05 * intensity;
+                color *= noiseDetail * (50.0 * (0.5 + sin(fract(time)) * 0.5));
+                color = clamp(color, 0.0, 1.0);
+
+                // Bloom也应用相同颜色映射
+                vec3 bloomColor = spectrogramColor(bloom);
+                color += bloomColor * bloomIntensity + color * bloomColor;
+                
+                // 添加动态效果
+                float shimmer = 1.0 + (1.0 - 0.5 * sin(fract(time) + uv.x * 5.0)) * intensity;
+                color *= vec3(shimmer );
+                color = pow(color, vec3(1.0 / gamma)) * exposure;
+                color = clamp(color, 0.0, 1.0);
+                
+                gl_FragColor = vec4(color, 1.0);
+            }`;
+
+            this.spectrogramMaterial = new THREE.ShaderMaterial({
+                vertexShader,
+                fragmentShader,
+                uniforms: {
+                    spectrogramTexture: { value: this.spectrogramTexture },
+                    scrollOffset: { value: 0 },
+                    viewScale: { value: 1 },
+                    floorDb: { value: this.config.floorDb },
+                    ceilingDb: { value: this.config.ceilingDb },
+                    bloomIntensity: { value: this.config.bloomIntensity },
+                    time: { value: 0 },
+                    textureSize: { 
+                        value: new THREE.Vector2(
+                            this.config.spectrogramWidth, 
+                            this.config.melBands
+                        ) 
+                    },
+                    exposure: { value: this.config.exposure },
+                    gamma: { value: this.config.gamma },
+                    colormapTexture: { value: this.colormapTexture },
+                    useArtisticPalette: { value: this.config.colormap === 'artistic' ? 1 : 0 },
+                    analysisMode: { value: this.config.analysisMode ? 1 : 0 },
+                    compareTexture: { value: this.spectrogramTexture },
+                    compareMode: { value: 0 }
+                }
+        });
         
-        // 添加到频谱图数据
-        this.spectrogramData.push(melData);
+        console.log('✅ Material created with ShaderMaterial');
+
+        // 创建平面几何体和网格
+        const geometry = new THREE.PlaneGeometry(1.8, 1.6);
+        const mesh = new THREE.Mesh(geometry, this.spectrogramMaterial);
+        this.scene.add(mesh);
+        this.spectrogramPlane = mesh;
+        this.primaryLabel = this.createPlaneLabel('Mix');
         
-        // 保持数据长度
-        if (this.spectrogramData.length > this.config.spectrogramWidth) {
-            this.spectrogramData.shift();
+        console.log('✅ Mesh added to scene');
+    }
+
+        /**
+         * 创建 3D 瀑布图：独立的场景和透视相机，网格按主平面的纹理在顶点着色器里抬高，
+         * 片元着色器和 uniform 与主平面共用，颜色与 2D 视图一致
+         */
+        createWaterfall() {
+            const vertexShader = `
+            uniform sampler2D spectrogramTexture;
+            uniform float scrollOffset;
+            uniform float viewScale;
+            uniform float floorDb;
+            uniform float ceilingDb;
+            uniform float heightScale;   // 强度 1 对应的高度
+
+            varying vec2 vUv;
+
+            void main() {
+                vUv = uv;
+                // 与片元着色器相同的时间映射
+                vec2 st = vec2(1.0 - (1.0 - uv.x) / viewScale, uv.y);
+                float db = texture2D(spectrogramTexture, vec2(st.x + scrollOffset, st.y)).r;
+                float intensity = clamp((db - floorDb) / (ceilingDb - floorDb), 0.0, 1.0);
+                vec3 displaced = position + vec3(0.0, 0.0, intensity * heightScale);
+                gl_Position = projectionMatrix * modelViewMatrix * vec4(displaced, 1.0);
+            }`;
+            
+            const material = new THREE.ShaderMaterial({
+                vertexShader,
+                fragmentShader: this.spectrogramMaterial.fragmentShader,
+                uniforms: {
+                    ...this.spectrogramMaterial.uniforms,
+                    heightScale: { value: 0 }
+                },
+                side: THREE.DoubleSide
+            });
+            const mesh = new THREE.Mesh(this.createWaterfallGeometry(), material);
+            const scene = new THREE.Scene();
+            scene.add(mesh);
+            
+            const viewport = this.getViewportSize();
+            const camera = new THREE.PerspectiveCamera(WATERFALL_FOV, viewport.width / viewport.height, 0.01, 100);
+            
+            this.waterfallView = {
+                scene,
+                camera,
+                mesh,
+                blend: 0,           // 0 为 2D，1 为 3D，切换时逐帧过渡
+                azimuth: -0.5,      // 轨道相机的方位角和仰角（弧度）
+                elevation: 0.9,
+                distance: this.getFlatCameraDistance() * 1.2,
+                lastTime: 0
+            };
         }
 
-        // 更新纹理
-        this.updateTexture();
-    }
+        /**
+         * 瀑布图网格：与主平面同样大小，每列、每个频带一个顶点（超过上限时降采样）
+         */
+        createWaterfallGeometry() {
+            const { width, height } = this.spectrogramPlane.geometry.parameters;
+            const columns = Math.min(this.config.spectrogramWidth, WATERFALL_MAX_SEGMENTS);
+            const rows = Math.min(this.config.melBands, WATERFALL_MAX_SEGMENTS);
+            return new THREE.PlaneGeometry(width, height, columns - 1, rows - 1);
+        }
 
-    /**
-     * 更新纹理数据
-     */
-    updateTexture() {
-        if (!this.spectrogramTexture || this.spectrogramData.length === 0) return;
+        /**
+         * 透视相机正对平面、画面与正交相机完全一致时的距离（正交视口高度为 2）
+         */
+        getFlatCameraDistance() {
+            return 1 / Math.tan(THREE.MathUtils.degToRad(WATERFALL_FOV) / 2);
+        }
 
-        const textureData = this.spectrogramTexture.image.data;
-        
-        // 将现有数据向左移动一列
-        for (let y = 0; y < this.config.melBands; y++) {
-            for (let x = 0; x < this.config.spectrogramWidth - 1; x++) {
-                const srcIndex = ((y * this.config.spectrogramWidth + x + 1) * 4);
-                const dstIndex = ((y * this.config.spectrogramWidth + x) * 4);
-                textureData[dstIndex] = textureData[srcIndex];
-                textureData[dstIndex + 1] = textureData[srcIndex + 1];
-                textureData[dstIndex + 2] = textureData[srcIndex + 2];
-                textureData[dstIndex + 3] = textureData[srcIndex + 3];
+        /**
+         * 是否正在显示 3D 瀑布图（包括切换动画）
+         */
+        isWaterfallActive() {
+            return this.waterfallView !== null && this.waterfallView.blend > 0;
+        }
+
+        /**
+         * 推进 2D ⇄ 3D 过渡并摆放相机和网格：blend 为 0 时与 2D 主平面重合，
+         * 为 1 时网格铺满、按轨道参数观察；返回当前是否使用 3D 场景
+         */
+        updateWaterfall(now) {
+            const view = this.waterfallView;
+            if (!view) return false;
+            
+            const target = this.config.waterfall ? 1 : 0;
+            const elapsed = view.lastTime ? Math.min(0.1, now - view.lastTime) : 0;
+            view.lastTime = now;
+            if (view.blend !== target) {
+                const step = elapsed / WATERFALL_TRANSITION_SECONDS;
+                view.blend = target > view.blend ? Math.min(target, view.blend + step) : Math.max(target, view.blend - step);
+                this.container.classList.toggle('spectrogram-waterfall', view.blend > 0);
             }
+            if (view.blend === 0) return false;
+            
+            const t = view.blend * view.blend * (3 - 2 * view.blend); // smoothstep
+            const primary = this.spectrogramPlane;
+            view.mesh.position.lerpVectors(primary.position, new THREE.Vector3(0, 0, 0), t);
+            view.mesh.scale.lerpVectors(primary.scale, new THREE.Vector3(1, 1, 1), t);
+            view.mesh.material.uniforms.heightScale.value = t * this.config.waterfallHeight;
+            
+            const flat = this.getFlatCameraDistance();
+            const azimuth = view.azimuth * t;
+            const elevation = view.elevation * t;
+            const distance = flat + (view.distance - flat) * t;
+            view.camera.position.set(
+                distance * Math.cos(elevation) * Math.sin(azimuth),
+                -distance * Math.sin(elevation),
+                distance * Math.cos(elevation) * Math.cos(azimuth)
+            );
+            view.camera.lookAt(0, 0, 0);
+            return true;
         }
-        
-        // 添加新的一列数据
-        const latestData = this.spectrogramData[this.spectrogramData.length - 1];
-        for (let y = 0; y < this.config.melBands; y++) {
-            const intensity = Math.min(1.0, latestData[y] || 0);
-            const pixelIndex = (y * this.config.spectrogramWidth + (this.config.spectrogramWidth - 1)) * 4;
-            
-            const value = Math.floor(intensity * 255);
-            textureData[pixelIndex] = value;     // R
-            textureData[pixelIndex + 1] = value; // G
-            textureData[pixelIndex + 2] = value; // B
-            textureData[pixelIndex + 3] = 255;   // A
+
+        /**
+         * 3D 瀑布图的轨道控制：拖动旋转，滚轮缩放，双击回到默认视角
+         */
+        setupOrbitControls() {
+            let last = null;
+            
+            this.on(this.canvas, 'mousedown', (e) => {
+                if (this.isWaterfallActive()) last = { x: e.clientX, y: e.clientY };
+            });
+            this.on(window, 'mousemove', (e) => {
+                if (!last) return;
+                const view = this.waterfallView;
+                view.azimuth = Math.max(-Math.PI / 2, Math.min(Math.PI / 2, view.azimuth - (e.clientX - last.x) * 0.005));
+                view.elevation = Math.max(0, Math.min(1.45, view.elevation + (e.clientY - last.y) * 0.005));
+                last = { x: e.clientX, y: e.clientY };
+            });
+            this.on(window, 'mouseup', () => {
+                last = null;
+            });
+            
+            this.on(this.canvas, 'wheel', (e) => {
+                if (!this.isWaterfallActive()) return;
+                e.preventDefault();
+                const view = this.waterfallView;
+                const flat = this.getFlatCameraDistance();
+                view.distance = Math.max(flat * 0.3, Math.min(flat * 3, view.distance * Math.exp(e.deltaY * 0.001)));
+            }, { passive: false });
+            
+            this.on(this.canvas, 'dblclick', () => {
+                if (!this.isWaterfallActive()) return;
+                Object.assign(this.waterfallView, { azimuth: -0.5, elevation: 0.9, distance: this.getFlatCameraDistance() * 1.2 });
+            });
         }
-        
-        this.spectrogramTexture.needsUpdate = true;
-    }
 
-    /**
-     * 动画循环
-     */
-    animate() {
-        requestAnimationFrame(() => this.animate());
+        /**
+         * 初始化音频系统
+         */
+        async initAudio() {
+            try {
+                this.audioContext = new (window.AudioContext || window.webkitAudioContext)();
+                this.analyser = this.audioContext.createAnalyser();
+                this.analyser.fftSize = this.config.fftSize;
+                this.analyser.smoothingTimeConstant = this.config.smoothing;
+                this.dataArray = new Float32Array(this.analyser.frequencyBinCount);
+                
+                // 把 analyser 的输入送到扬声器，听到的就是看到的
+                this.outputGain = this.audioContext.createGain();
+                this.outputGain.gain.value = 0;
+                this.analyser.connect(this.outputGain);
+                this.outputGain.connect(this.audioContext.destination);
+                
+                // 音源 → 预处理滤波器 → analyser
+                this.chainInput = this.audioContext.createGain();
+                this.updateFilterChain();
+                
+                this.createWindow();
+                await this.initStftEngine();
+                console.log('🎵 Audio system initialized');
+            } catch (error) {
+                console.error('❌ Audio initialization failed:', error);
+                throw error;
+            }
+        }
 
-        const time = Date.now() * 0.001 * this.config.scrollSpeed;
+        /**
+         * 加载 STFT 分帧 AudioWorklet，失败时退回 requestAnimationFrame 读取 analyser
+         */
+        async initStftEngine() {
+            if (!this.audioContext.audioWorklet) {
+                console.warn('⚠️ AudioWorklet not supported, falling back to per-frame analyser reads');
+                return;
+            }
+            
+            try {
+                await this.audioContext.audioWorklet.addModule(this.workletUrl);
+                this.stftNode = new AudioWorkletNode(this.audioContext, 'stft-processor', {
+                    numberOfInputs: 2,     // 0: 预处理后的信号，1: 原始信号（录音）
+                    numberOfOutputs: 0,
+                    processorOptions: { fftSize: this.config.fftSize, hopSize: this.getHopSize() }
+                });
+                this.stftNode.port.onmessage = (e) => this.processLiveFrame(e.data.samples, e.data.raw);
+                this.analyser.connect(this.stftNode, 0, 0);
+                this.chainInput.connect(this.stftNode, 0, 1);
+                console.log('✅ STFT worklet ready');
+            } catch (error) {
+                console.warn('⚠️ STFT worklet unavailable, falling back to per-frame analyser reads:', error);
+                this.stftNode = null;
+            }
+        }
 
-        // 更新频谱图
-        this.updateSpectrogram();
+        /**
+         * 实际使用的步长，不超过 FFT 大小
+         */
+        getHopSize() {
+            return getHopSize(this.config);
+        }
 
-        // 更新着色器时间
-        if (this.spectrogramMaterial) {
-            this.spectrogramMaterial.uniforms.time.value = time;
+        /**
+         * 每秒产生的频谱列数
+         */
+        getColumnsPerSecond() {
+            return this.getSampleRate() / this.getHopSize();
         }
 
-        // 使用后处理渲染
-        if (this.composer) {
-            this.composer.render();
-        } else {
-            // 降级到普通渲染
-            this.renderer.render(this.scene, this.camera);
+        /**
+         * 按当前窗函数和 FFT 大小生成窗表
+         */
+        createWindow() {
+            this.analysisWindow = createWindow(this.config.windowType, this.config.fftSize);
+            this.liveSmoothed = new Float32Array(this.config.fftSize / 2);
         }
-    }
 
+        /**
+         * FFT 大小或步长变化后同步到 worklet
+         */
+        reconfigureStft() {
+            this.createWindow();
+            [this.stftNode, ...this.channelPlanes.map(lane => lane.stftNode)].forEach((node) => {
+                if (node) node.port.postMessage({ fftSize: this.config.fftSize, hopSize: this.getHopSize() });
+            });
+            this.updateTimingLabels();
+        }
+
+        /**
+         * 处理 worklet 送来的一帧时域采样
+         */
+        processLiveFrame(samples, raw) {
+            if (this.mode !== 'live' || !this.isRecording) return;
+            
+            // 录音保存未经预处理的原始采样（上一帧之后新到的 hopSize 个），与 FFT 大小无关：
+            // 重新配置前残留的旧帧也要保存，否则 WAV 中出现空缺
+            this.appendCapture(raw);
+            if (samples.length !== this.config.fftSize) return; // 重新配置前残留的旧帧不参与分析
+            
+            const spectrumDb = new Float32Array(samples.length / 2);
+            computeDbSpectrum(samples, 0, this.analysisWindow, this.config.smoothing, this.liveSmoothed, spectrumDb);
+            this.processSpectrum(spectrumDb);
+            this.pushLiveColumn(this.applyFilterBank(spectrumDb), this.estimatePitch(spectrumDb));
+        }
+
+        /**
+         * 预处理链的滤波级：频率为 0 的级关闭，频率截断到奈奎斯特频率以下
+         */
+        getFilterStages(sampleRate) {
+            const limit = (hz) => Math.min(hz, sampleRate / 2 - 1);
+            const stages = [];
+            if (this.config.highPassFreq > 0) {
+                stages.push({ type: 'highpass', frequency: limit(this.config.highPassFreq), Q: Math.SQRT1_2 });
+            }
+            if (this.config.lowPassFreq > 0) {
+                stages.push({ type: 'lowpass', frequency: limit(this.config.lowPassFreq), Q: Math.SQRT1_2 });
+            }
+            if (this.config.bandPassFreq > 0) {
+                stages.push({ type: 'bandpass', frequency: limit(this.config.bandPassFreq), Q: this.config.bandPassQ });
+            }
+            return stages;
+        }
+
+        /**
+         * 在指定上下文中创建滤波器节点（实时和离线渲染共用）
+         */
+        createFilterNodes(context) {
+            return this.getFilterStages(context.sampleRate).map(({ type, frequency, Q }) => {
+                const filter = context.createBiquadFilter();
+                filter.type = type;
+                filter.frequency.value = frequency;
+                filter.Q.value = Q;
+                return filter;
+            });
+        }
+
+        /**
+         * 按当前配置重新连接实时预处理链，关闭预处理时音源直通 analyser
+         */
+        updateFilterChain() {
+            if (!this.chainInput) return;
+            
+            // 只断开通往滤波器的连接，chainInput → STFT 节点的原始信号保持不变
+            if (this.filterNodes) {
+                this.chainInput.disconnect(this.filterNodes[0] || this.analyser);
+                this.filterNodes.forEach(node => node.disconnect());
+            }
+            this.filterNodes = this.config.processing ? this.createFilterNodes(this.audioContext) : [];
+            
+            [this.chainInput, ...this.filterNodes, this.analyser].reduce((previous, node) => {
+                previous.connect(node);
+                return node;
+            });
+        }
+
+        /**
+         * 离线文件经过同样的滤波器，返回处理后的 AudioBuffer（无需滤波时原样返回）
+         */
+        async renderFilteredBuffer(audioBuffer) {
+            if (!this.config.processing || this.getFilterStages(audioBuffer.sampleRate).length === 0) return audioBuffer;
+            
+            const context = new OfflineAudioContext(audioBuffer.numberOfChannels, audioBuffer.length, audioBuffer.sampleRate);
+            const source = context.createBufferSource();
+            source.buffer = audioBuffer;
+            const last = this.createFilterNodes(context).reduce((previous, node) => {
+                previous.connect(node);
+                return node;
+            }, source);
+            last.connect(context.destination);
+            source.start();
+            return context.startRendering();
+        }
+
+        /**
+         * 频带滤波前的逐帧处理：采集噪声谱、谱减降噪
+         * spectrumDb 原地修改并返回；learnNoise 为 false 时不参与噪声采集（各声道通道）
+         */
+        processSpectrum(spectrumDb, learnNoise = true) {
+            if (learnNoise && this.noiseLearning && this.mode === 'live') this.accumulateNoise(spectrumDb);
+            
+            const profile = this.noiseProfile;
+            if (this.config.processing && this.config.noiseReduction > 0 && profile
+                && profile.magnitudes.length === spectrumDb.length && profile.sampleRate === this.getSampleRate()) {
+                subtractNoise(spectrumDb, profile.magnitudes, this.config.noiseReduction);
+            }
+            return spectrumDb;
+        }
+
+        /**
+         * 学习噪声谱：文件模式取选中区间（Shift+拖动），实时模式采集接下来的一小段
+         */
+        learnNoiseProfile() {
+            if (this.mode === 'live') {
+                if (!this.isRecording) {
+                    this.reportError('Noise learning needs an active recording', null, '请先开始录音，再学习噪声');
+                    return;
+                }
+                const target = Math.max(1, Math.round(NOISE_LEARN_SECONDS * this.getColumnsPerSecond()));
+                this.noiseLearning = { sum: null, count: 0, target };
+                this.updateNoiseStatus();
+                console.log(`🧹 Learning noise profile from the next ${NOISE_LEARN_SECONDS}s`);
+                return;
+            }
+            
+            if (!this.loopRegion || !this.analysisSamples) {
+                this.reportError('Noise learning needs a selected region', null, '请先用 Shift+拖动选择一段只有背景噪声的区域');
+                return;
+            }
+            
+            // 在预处理后的采样上重新计算区间内每一帧的频谱（不做谱减）
+            const hopSize = this.getHopSize();
+            const columnsPerSecond = this.getColumnsPerSecond();
+            const first = Math.floor(this.loopRegion.start * columnsPerSecond);
+            const last = Math.max(first + 1, Math.ceil(this.loopRegion.end * columnsPerSecond));
+            const spectrumDb = new Float32Array(this.config.fftSize / 2);
+            const smoothed = new Float32Array(this.config.fftSize / 2);
+            
+            this.noiseLearning = { sum: null, count: 0, target: last - first };
+            for (let f = first; f < last; f++) {
+                computeDbSpectrum(this.analysisSamples, f * hopSize, this.analysisWindow, this.config.smoothing, smoothed, spectrumDb);
+                this.accumulateNoise(spectrumDb);
+            }
+            this.analyzeCurrentFile();
+        }
+
+        /**
+         * 累加一帧的线性幅度，采够目标帧数后生成噪声谱
+         */
+        accumulateNoise(spectrumDb) {
+            const learning = this.noiseLearning;
+            if (!learning.sum || learning.sum.length !== spectrumDb.length) {
+                learning.sum = new Float64Array(spectrumDb.length);
+                learning.count = 0;
+            }
+            for (let k = 0; k < spectrumDb.length; k++) {
+                learning.sum[k] += Math.pow(10, spectrumDb[k] / 20);
+            }
+            if (++learning.count < learning.target) return;
+            
+            this.noiseProfile = {
+                magnitudes: Float32Array.from(learning.sum, value => value / learning.count),
+                sampleRate: this.getSampleRate(),
+                seconds: learning.count / this.getColumnsPerSecond()
+            };
+            this.noiseLearning = null;
+            this.updateNoiseStatus();
+            console.log(`🧹 Noise profile learned: ${learning.count} frames`);
+        }
+
+        clearNoiseProfile() {
+            this.noiseProfile = null;
+            this.noiseLearning = null;
+            this.updateNoiseStatus();
+            this.analyzeCurrentFile();
+        }
+
+        /**
+         * 噪声谱状态标签
+         */
+        updateNoiseStatus() {
+            const status = this.element('noiseProfileStatus');
+            if (!status) return;
+            if (this.noiseLearning) {
+                status.textContent = 'learning…';
+            } else if (this.noiseProfile) {
+                status.textContent = `${this.noiseProfile.seconds.toFixed(1)}s @ ${this.formatFrequency(this.noiseProfile.sampleRate)}`;
+            } else {
+                status.textContent = 'none';
+            }
+        }
+
+        /**
+         * 当前数据源的声道数：文件模式取解码后的文件，否则取麦克风
+         */
+        getChannelCount() {
+            if (this.mode === 'file' && this.fileBuffer) return this.fileBuffer.numberOfChannels;
+            return this.liveChannelCount;
+        }
+
+        /**
+         * 按声道视图列出主平面之外的通道：channel 为声道序号，weights 为前两个声道的混合系数
+         * 单声道没有额外通道；Mid/Side 取前两个声道，多于两个声道时主平面是全部声道的混合，
+         * Mid 单独成一个通道，与 Side 来自同一对声道
+         */
+        getChannelLaneSpecs(channelCount) {
+            if (channelCount < 2 || this.config.channelView === 'mix') return [];
+            if (this.config.channelView === 'midSide') {
+                const side = { label: 'Side', weights: [0.5, -0.5] };
+                return channelCount === 2 ? [side] : [{ label: 'Mid', weights: [0.5, 0.5] }, side];
+            }
+            
+            return Array.from({ length: channelCount }, (_, channel) => ({
+                label: channelCount === 2 ? ['L', 'R'][channel] : `Ch ${channel + 1}`,
+                channel
+            }));
+        }
+
+        /**
+         * 按当前声道视图和数据源重建通道平面；实时录音时同时接入各通道的分析节点
+         */
+        rebuildChannelPlanes() {
+            this.disposeChannelPlanes();
+            
+            const channelCount = this.getChannelCount();
+            this.channelPlanes = this.getChannelLaneSpecs(channelCount).map(spec => this.createChannelPlane(spec));
+            if (this.mode === 'live' && this.isRecording && this.channelPlanes.length > 0) {
+                this.connectChannelPlanes(channelCount);
+            }
+            
+            this.updatePrimaryLabel();
+            this.layoutPlanes();
+        }
+
+        /**
+         * 创建一个通道平面：独立的纹理、写入头和数据，其余 uniform 与主平面共享同一对象，
+         * 显示范围、配色和效果参数自动同步
+         */
+        createChannelPlane({ label, channel, weights = null }) {
+            const { texture, columnTexture } = this.createBandTextures();
+            const material = new THREE.ShaderMaterial({
+                vertexShader: this.spectrogramMaterial.vertexShader,
+                fragmentShader: this.spectrogramMaterial.fragmentShader,
+                uniforms: {
+                    ...this.spectrogramMaterial.uniforms,
+                    spectrogramTexture: { value: texture },
+                    scrollOffset: { value: 0 },
+                    compareMode: { value: 0 }
+                }
+            });
+            const mesh = new THREE.Mesh(this.spectrogramPlane.geometry, material);
+            this.scene.add(mesh);
+            
+            return {
+                label,
+                channel,
+                weights,
+                offset: 0,          // 时间偏移（秒），只有参考录音可以拖动对齐
+                frames: [],
+                texture,
+                columnTexture,
+                writeHead: 0,
+                material,
+                mesh,
+                labelElement: this.createPlaneLabel(label),
+                nodes: [],          // 实时模式的音频节点
+                analyser: null,
+                stftNode: null,
+                smoothed: null
+            };
+        }
+
+        /**
+         * 实时模式：analyser → ChannelSplitter → 每个通道一个 AnalyserNode（和 STFT 节点）
+         * Mid/Side 通道由左右声道分别乘以 weights 后相加
+         */
+        connectChannelPlanes(channelCount) {
+            const context = this.audioContext;
+            this.channelSplitter = context.createChannelSplitter(channelCount);
+            this.analyser.connect(this.channelSplitter);
+            
+            this.channelPlanes.forEach((lane) => {
+                const analyser = context.createAnalyser();
+                analyser.fftSize = this.config.fftSize;
+                analyser.smoothingTimeConstant = this.config.smoothing;
+                lane.nodes = [analyser];
+                
+                if (lane.weights) {
+                    lane.weights.forEach((weight, channel) => {
+                        const gain = context.createGain();
+                        gain.gain.value = weight;
+                        this.channelSplitter.connect(gain, channel);
+                        gain.connect(analyser);
+                        lane.nodes.push(gain);
+                    });
+                } else {
+                    this.channelSplitter.connect(analyser, lane.channel);
+                }
+                
+                // 与主通道相同：有 worklet 时按固定步长分帧，否则在动画循环里读取 analyser
+                if (this.stftNode) {
+                    lane.stftNode = new AudioWorkletNode(context, 'stft-processor', {
+                        numberOfInputs: 1,
+                        numberOfOutputs: 0,
+                        processorOptions: { fftSize: this.config.fftSize, hopSize: this.getHopSize() }
+                    });
+                    lane.stftNode.port.onmessage = (e) => this.processChannelFrame(lane, e.data.samples);
+                    analyser.connect(lane.stftNode);
+                    lane.nodes.push(lane.stftNode);
+                }
+                lane.analyser = analyser;
+                lane.dataArray = new Float32Array(analyser.frequencyBinCount);
+            });
+        }
+
+        /**
+         * 断开各通道的实时节点，已显示的数据保留
+         */
+        disconnectChannelPlanes() {
+            this.channelPlanes.forEach((lane) => {
+                lane.nodes.forEach(node => node.disconnect());
+                if (lane.stftNode) lane.stftNode.port.onmessage = null;
+                lane.nodes = [];
+                lane.analyser = null;
+                lane.stftNode = null;
+            });
+            if (this.channelSplitter) {
+                this.analyser.disconnect(this.channelSplitter);
+                this.channelSplitter = null;
+            }
+        }
+
+        /**
+         * 移除所有通道平面
+         */
+        disposeChannelPlanes() {
+            this.disconnectChannelPlanes();
+            this.channelPlanes.forEach(lane => this.removePlane(lane));
+            this.channelPlanes = [];
+        }
+
+        /**
+         * 从场景中移除一个附加平面并释放纹理和标签
+         */
+        removePlane(lane) {
+            this.scene.remove(lane.mesh);
+            lane.material.dispose();
+            lane.texture.dispose();
+            lane.columnTexture.dispose();
+            lane.labelElement.remove();
+        }
+
+        /**
+         * 声道视图变化：文件模式重新分析，实时模式重建通道（新通道从空白开始）
+         */
+        updateChannelView() {
+            if (this.mode === 'file' && this.fileBuffer) {
+                this.analyzeCurrentFile();
+            } else {
+                this.rebuildChannelPlanes();
+                if (this.isRecording && this.channelPlanes.length === 0 && this.config.channelView !== 'mix') {
+                    console.warn(`⚠️ Microphone delivers ${this.liveChannelCount} channel(s), restart recording to request stereo`);
+                }
+            }
+        }
+
+        /**
+         * 处理通道 worklet 送来的一帧时域采样（不采集噪声、不检测事件）
+         */
+        processChannelFrame(lane, samples) {
+            if (this.mode !== 'live' || !this.isRecording) return;
+            if (samples.length !== this.config.fftSize) return;
+            
+            if (!lane.smoothed || lane.smoothed.length !== samples.length / 2) {
+                lane.smoothed = new Float32Array(samples.length / 2);
+            }
+            const spectrumDb = new Float32Array(samples.length / 2);
+            computeDbSpectrum(samples, 0, this.analysisWindow, this.config.smoothing, lane.smoothed, spectrumDb);
+            this.pushChannelColumn(lane, this.applyFilterBank(this.processSpectrum(spectrumDb, false)));
+        }
+
+        /**
+         * 向通道平面追加一列实时数据并上传纹理
+         */
+        pushChannelColumn(lane, melData) {
+            const width = this.config.spectrogramWidth;
+            lane.frames.push(melData);
+            if (lane.frames.length > width) lane.frames.shift();
+            
+            this.uploadTextureColumn(lane.texture, lane.columnTexture, lane.writeHead, melData);
+            lane.writeHead = (lane.writeHead + 1) % width;
+            lane.material.uniforms.scrollOffset.value = lane.writeHead / width;
+        }
+
+        /**
+         * 开始新的录音：清空完整录音和预录缓冲
+         */
+        resetCapture() {
+            const sampleRate = this.audioContext.sampleRate;
+            this.capture = { chunks: [], length: 0, startTime: new Date(), sampleRate };
+            this.preRoll = {
+                buffer: new Int16Array(Math.round(sampleRate * this.config.preRollSeconds)),
+                writeIndex: 0,
+                filled: 0,
+                lastTime: Date.now()
+            };
+            this.updateCaptureButtons();
+        }
+
+        /**
+         * 把新到的采样追加到完整录音和预录缓冲
+         */
+        appendCapture(samples) {
+            const pcm = new Int16Array(samples.length);
+            for (let i = 0; i < samples.length; i++) {
+                pcm[i] = Math.max(-1, Math.min(1, samples[i])) * 0x7fff;
+            }
+            
+            this.capture.chunks.push(pcm);
+            this.capture.length += pcm.length;
+            
+            const preRoll = this.preRoll;
+            const size = preRoll.buffer.length;
+            for (let i = 0; i < pcm.length; i++) {
+                preRoll.buffer[preRoll.writeIndex] = pcm[i];
+                preRoll.writeIndex = (preRoll.writeIndex + 1) % size;
+            }
+            preRoll.filled = Math.min(size, preRoll.filled + pcm.length);
+            preRoll.lastTime = Date.now();
+            
+            if (this.capture.chunks.length === 1) this.updateCaptureButtons();
+        }
+
+        /**
+         * 修改预录长度时保留最新的采样
+         */
+        resizePreRoll() {
+            const old = this.preRoll;
+            const size = Math.round(this.capture.sampleRate * this.config.preRollSeconds);
+            const keep = Math.min(old.filled, size);
+            const buffer = new Int16Array(size);
+            const oldSize = old.buffer.length;
+            for (let i = 0; i < keep; i++) {
+                buffer[i] = old.buffer[(old.writeIndex - keep + i + oldSize) % oldSize];
+            }
+            this.preRoll = { buffer, writeIndex: keep % size, filled: keep, lastTime: old.lastTime };
+        }
+
+        /**
+         * 下载本次录音的完整 WAV
+         */
+        saveRecording() {
+            const { chunks, length, startTime, sampleRate } = this.capture;
+            if (length === 0) return;
+            
+            const blob = this.encodeWav(chunks, length, sampleRate, startTime);
+            this.downloadBlob(blob, `recording-${this.formatFileTimestamp(startTime)}.wav`);
+            console.log(`💾 Recording saved: ${(length / sampleRate).toFixed(1)}s`);
+        }
+
+        /**
+         * 下载预录缓冲（最近 N 秒）
+         */
+        savePreRoll() {
+            const preRoll = this.preRoll;
+            if (!preRoll || preRoll.filled === 0) return;
+            
+            // 按时间顺序展开环形缓冲
+            const size = preRoll.buffer.length;
+            const start = (preRoll.writeIndex - preRoll.filled + size) % size;
+            const pcm = new Int16Array(preRoll.filled);
+            for (let i = 0; i < preRoll.filled; i++) {
+                pcm[i] = preRoll.buffer[(start + i) % size];
+            }
+            
+            const sampleRate = this.capture.sampleRate;
+            const startTime = new Date(preRoll.lastTime - preRoll.filled / sampleRate * 1000);
+            const blob = this.encodeWav([pcm], pcm.length, sampleRate, startTime);
+            this.downloadBlob(blob, `preroll-${this.formatFileTimestamp(startTime)}.wav`);
+            console.log(`💾 Pre-roll saved: ${(pcm.length / sampleRate).toFixed(1)}s`);
+        }
+
+        /**
+         * 录音按钮只在有数据时可用
+         */
+        updateCaptureButtons() {
+            const hasCapture = this.capture.length > 0;
+            this.setControl('saveWavBtn', 'disabled', !hasCapture);
+            this.setControl('savePreRollBtn', 'disabled', !hasCapture);
+        }
+
+        /**
+         * 适合文件名的本地时间戳，例如 20250101-063015
+         */
+        formatFileTimestamp(date) {
+            const pad = (n) => String(n).padStart(2, '0');
+            return `${date.getFullYear()}${pad(date.getMonth() + 1)}${pad(date.getDate())}`
+                + `-${pad(date.getHours())}${pad(date.getMinutes())}${pad(date.getSeconds())}`;
+        }
+
+        /**
+         * 编码录音为 WAV 文件（见 dsp.js）
+         */
+        encodeWav(chunks, length, sampleRate, startTime) {
+            return new Blob([encodeWav(chunks, length, sampleRate, startTime)], { type: 'audio/wav' });
+        }
+
+        /**
+         * 追加一列实时数据并上传纹理
+         */
+        pushLiveColumn(melData, pitch = null) {
+            this.trackAutoGain(melData);
+            this.spectrogramData.push(melData);
+            this.envelopeData.push(this.readLiveEnvelope());
+            this.pitchData.push(pitch);
+            this.liveFrameCount++;
+            
+            if (this.eventDetector) {
+                const event = this.eventDetector.process(melData, this.liveFrameCount - 1);
+                if (event) this.addEvent(event);
+            }
+            
+            // 保持数据长度
+            if (this.spectrogramData.length > this.config.spectrogramWidth) {
+                this.spectrogramData.shift();
+                this.envelopeData.shift();
+                this.pitchData.shift();
+            }
+            
+            this.updateTexture();
+            this.emit('frame', {
+                frame: melData,
+                pitch,
+                time: (this.liveFrameCount - 1) / this.getColumnsPerSecond(),
+                frequencies: this.bandCenters
+            });
+        }
+
+        /**
+         * 从 analyser 的时域数据读取最新一个步长的波形包络
+         */
+        readLiveEnvelope() {
+            if (!this.analyser) return null;
+            
+            if (!this.timeDomainData || this.timeDomainData.length !== this.analyser.fftSize) {
+                this.timeDomainData = new Float32Array(this.analyser.fftSize);
+            }
+            this.analyser.getFloatTimeDomainData(this.timeDomainData);
+            const length = this.timeDomainData.length;
+            return computeEnvelope([this.timeDomainData], length - Math.min(this.getHopSize(), length), length);
+        }
+
+        /**
+         * 更新步长和速度标签上的实际时间信息
+         */
+        updateTimingLabels() {
+            const columnsPerSecond = this.getColumnsPerSecond();
+            const visibleSeconds = this.config.spectrogramWidth / this.config.scrollSpeed / columnsPerSecond;
+            
+            const hopLabel = this.element('hopRateValue');
+            if (hopLabel) hopLabel.textContent = `${columnsPerSecond.toFixed(0)} col/s`;
+            this.timeAxisKey = '';
+            const speedLabel = this.element('scrollSpeedValue');
+            if (speedLabel) speedLabel.textContent = `${this.config.scrollSpeed.toFixed(1)}x (${visibleSeconds.toFixed(1)}s)`;
+        }
+
+        /**
+         * 按当前频率刻度创建滤波器组
+         */
+        createFilterBank() {
+            const sampleRate = this.getSampleRate();
+            this.filterBank = createFilterBank({ sampleRate, ...this.config });
+            this.bandCenters = this.filterBank.centers;
+            
+            this.updateFrequencyAxis();
+            
+            // 实时模式下检测器依赖频带划分，需要随之重建
+            if (this.mode === 'live') this.detectEvents();
+            
+            const { minFreq, maxFreq } = this.filterBank;
+            console.log(`🔧 Filter bank created: ${this.config.melBands} ${this.config.frequencyScale} bands, ${Math.round(minFreq)}-${Math.round(maxFreq)} Hz @ ${sampleRate} Hz`);
+        }
+
+        /**
+         * 当前数据源的采样率：文件模式取解码后的文件，否则取 AudioContext
+         */
+        getSampleRate() {
+            if (this.mode === 'file' && this.fileBuffer) return this.fileBuffer.sampleRate;
+            return this.audioContext ? this.audioContext.sampleRate : 44100;
+        }
+
+        /**
+         * 格式化频率标签
+         */
+        formatFrequency(hz) {
+            if (hz >= 1000) return `${(hz / 1000).toFixed(hz >= 10000 ? 0 : 1)}kHz`;
+            return `${Math.round(hz)}Hz`;
+        }
+
+        /**
+         * 根据实际频带中心频率生成频率轴刻度，并与频谱图平面垂直对齐
+         */
+        updateFrequencyAxis() {
+            const axis = this.freqAxis;
+            if (!axis || !this.bandCenters || !this.spectrogramPlane) return;
+            
+            const rect = this.getPlaneRect();
+            this.alignToPlane(axis);
+            
+            // 每 60px 左右一个刻度
+            axis.innerHTML = '';
+            this.getFrequencyTicks(Math.floor(rect.height / 60)).forEach(({ position, label }) => {
+                const element = document.createElement('div');
+                element.className = 'freq-label';
+                element.style.bottom = `${position * 100}%`;
+                element.textContent = label;
+                axis.appendChild(element);
+            });
+        }
+
+        /**
+         * 频率轴刻度，刻度落在频带中心上；position 为自下而上的比例 (0-1)
+         */
+        getFrequencyTicks(maxTicks) {
+            const nMels = this.bandCenters.length;
+            const tickCount = Math.max(2, Math.min(nMels, maxTicks));
+            const ticks = [];
+            for (let i = 0; i < tickCount; i++) {
+                const band = Math.round(i * (nMels - 1) / (tickCount - 1));
+                ticks.push({
+                    position: (band + 0.5) / nMels,
+                    label: this.formatFrequency(this.bandCenters[band])
+                });
+            }
+            return ticks;
+        }
+
+        /**
+         * 初始化控制事件
+         */
+        initControls() {
+            // 录音和播放控制
+            this.on(this.element('startBtn'), 'click', () => this.startRecording());
+            this.on(this.element('stopBtn'), 'click', () => this.stop());
+            this.on(this.element('playBtn'), 'click', () => this.togglePlayback());
+            this.on(this.element('loopToggle'), 'change', (e) => this.setLoopEnabled(e.target.checked));
+            
+            // 文件上传
+            this.on(this.element('fileInput'), 'change', (e) => {
+                if (e.target.files[0]) this.loadAudioFile(e.target.files[0]);
+            });
+            
+            // 批量处理：多选文件、选择文件夹或拖入窗口
+            ['batchInput', 'batchFolderInput'].forEach((id) => {
+                this.on(this.element(id), 'change', (e) => {
+                    this.runBatch(Array.from(e.target.files));
+                    e.target.value = '';
+                });
+            });
+            this.on(this.container, 'dragover', (e) => e.preventDefault());
+            this.on(this.container, 'drop', async (e) => {
+                e.preventDefault();
+                const files = await this.collectDroppedFiles(e.dataTransfer);
+                if (files.length === 1) this.loadAudioFile(files[0]);
+                else if (files.length > 1) this.runBatch(files);
+            });
+            this.on(this.element('cancelBatchBtn'), 'click', () => this.cancelBatch());
+            this.on(this.element('saveBatchCsvBtn'), 'click', () => this.exportBatchCsv());
+            this.on(this.element('closeBatchBtn'), 'click', () => {
+                this.cancelBatch();
+                this.element('batchPanel').classList.add('hidden');
+            });
+            
+            // 参考录音对比
+            this.on(this.element('compareInput'), 'change', (e) => {
+                if (e.target.files[0]) this.loadComparisonFile(e.target.files[0]);
+                e.target.value = '';
+            });
+            this.on(this.element('clearCompareBtn'), 'click', () => this.clearComparison());
+            this.on(this.element('compareView'), 'change', (e) => {
+                this.compareView = e.target.value;
+                this.updateCompareView();
+            });
+            this.on(this.element('compareOffset'), 'change', (e) => {
+                this.setCompareOffset(parseFloat(e.target.value));
+            });
+
+            // 参数控制
+            this.setupParameterControls();
+            this.setupPresetControls();
+            this.syncControls();
+
+            // 导出
+            this.on(this.element('savePngBtn'), 'click', () => {
+                const [width, height] = this.element('exportResolution').value.split('x').map(Number);
+                this.exportPng(width, height);
+            });
+            this.on(this.element('saveCsvBtn'), 'click', () => this.exportCsv());
+            this.on(this.element('saveNpyBtn'), 'click', () => this.exportNpy());
+            this.on(this.element('savePitchCsvBtn'), 'click', () => this.exportPitchCsv());
+
+            // 标注
+            this.on(this.element('annotateToggle'), 'change', (e) => {
+                this.annotating = e.target.checked;
+                this.canvas.classList.toggle('annotating', this.annotating);
+            });
+            this.on(this.element('exportRavenBtn'), 'click', () => this.exportRavenTable());
+            this.on(this.element('exportAnnotationsJsonBtn'), 'click', () => this.exportAnnotationsJson());
+            this.on(this.element('annotationInput'), 'change', (e) => {
+                if (e.target.files[0]) this.importAnnotations(e.target.files[0]);
+                e.target.value = '';
+            });
+            
+            // 相似片段搜索
+            this.on(this.element('findMatchesBtn'), 'click', () => this.findSimilar());
+            this.on(this.element('clearMatchesBtn'), 'click', () => this.clearMatches());
+            
+            // 麦克风录音
+            this.on(this.element('saveWavBtn'), 'click', () => this.saveRecording());
+            this.on(this.element('savePreRollBtn'), 'click', () => this.savePreRoll());
+            // 事件检测参数
+            [
+                ['detectMinFreq', parseFloat],
+                ['detectMaxFreq', parseFloat],
+                ['detectThresholdDb', parseFloat],
+                ['detectMinDuration', (value) => parseFloat(value) / 1000]
+            ].forEach(([key, parse]) => {
+                this.on(this.element(key), 'change', (e) => {
+                    const value = parse(e.target.value);
+                    if (!Number.isFinite(value) || value < 0) return;
+                    this.config[key] = value;
+                    if (key === 'detectThresholdDb') {
+                        this.element('detectThresholdDbValue').textContent = value;
+                    }
+                    this.detectEvents();
+                });
+            });
+
+            this.on(this.element('preRollSeconds'), 'change', (e) => {
+                this.config.preRollSeconds = parseInt(e.target.value);
+                if (this.state === 'live') this.resizePreRoll();
+            });
+            
+            // 输入设备和采集约束：录音中修改时重新打开麦克风
+            this.on(this.element('inputDevice'), 'change', (e) => {
+                if (this.persist) localStorage.setItem(INPUT_DEVICE_STORAGE_KEY, e.target.value);
+                this.restartMicrophone();
+            });
+            ['echoCancellation', 'noiseSuppression', 'autoGainControl'].forEach((key) => {
+                this.on(this.element(key), 'change', (e) => {
+                    this.config[key] = e.target.checked;
+                    this.restartMicrophone();
+                });
+            });
+            this.updateInputDevices();
+            if (navigator.mediaDevices && navigator.mediaDevices.addEventListener) {
+                this.on(navigator.mediaDevices, 'devicechange', () => this.updateInputDevices());
+            }
+
+            // 主频轨迹：每帧重绘，只需更新配置
+            this.on(this.element('showPitch'), 'change', (e) => {
+                this.config.showPitch = e.target.checked;
+            });
+            this.on(this.element('pitchThresholdDb'), 'input', (e) => {
+                this.config.pitchThresholdDb = parseFloat(e.target.value);
+                this.element('pitchThresholdDbValue').textContent = this.config.pitchThresholdDb;
+            });
+        }
+
+        /**
+         * 设置参数控制
+         */
+        setupParameterControls() {
+            // FFT 大小
+            this.on(this.element('fftSize'), 'change', (e) => {
+                this.config.fftSize = parseInt(e.target.value);
+                this.reinitializeAudio();
+                this.reconfigureStft();
+                this.createFilterBank();
+                this.analyzeCurrentFile();
+            });
+
+            // 频带数：拖动时只更新标签，松开后再重建滤波器组和纹理
+            this.on(this.element('melBands'), 'input', (e) => {
+                this.element('melBandsValue').textContent = e.target.value;
+            });
+            this.on(this.element('melBands'), 'change', (e) => {
+                this.config.melBands = parseInt(e.target.value);
+                this.createFilterBank();
+                this.recreateTexture();
+                this.analyzeCurrentFile();
+            });
+
+            // 频率刻度：频带数不变，历史数据按旧刻度计算，需要清空重算
+            this.on(this.element('frequencyScale'), 'change', (e) => {
+                this.config.frequencyScale = e.target.value;
+                this.createFilterBank();
+                this.recreateTexture();
+                this.analyzeCurrentFile();
+            });
+
+            // STFT 步长
+            this.on(this.element('hopSize'), 'change', (e) => {
+                this.config.hopSize = parseInt(e.target.value);
+                this.reconfigureStft();
+                if (this.mode === 'live') this.detectEvents();
+                this.analyzeCurrentFile();
+            });
+
+            // 窗函数
+            this.on(this.element('windowType'), 'change', (e) => {
+                this.config.windowType = e.target.value;
+                this.createWindow();
+                this.analyzeCurrentFile();
+            });
+
+            // 声道视图
+            this.on(this.element('channelView'), 'change', (e) => {
+                this.config.channelView = e.target.value;
+                this.updateChannelView();
+            });
+
+            // 历史长度（纹理列数）
+            this.on(this.element('spectrogramWidth'), 'change', (e) => {
+                this.config.spectrogramWidth = parseInt(e.target.value);
+                
+                // 文件模式下保留已分析的数据，只按新宽度重新采样
+                const data = this.spectrogramData;
+                const envelope = this.envelopeData;
+                const pitch = this.pitchData;
+                const laneData = this.getLanes().map(lane => lane.frames);
+                this.recreateTexture();
+                if (this.mode === 'file') {
+                    this.spectrogramData = data;
+                    this.envelopeData = envelope;
+                    this.pitchData = pitch;
+                    this.getLanes().forEach((lane, i) => {
+                        lane.frames = laneData[i];
+                    });
+                    this.renderFileView();
+                }
+                this.updateTimingLabels();
+            });
+
+            // 频率范围
+            ['minFreq', 'maxFreq'].forEach((key) => {
+                this.on(this.element(key), 'change', (e) => {
+                    const value = parseFloat(e.target.value);
+                    const next = { ...this.config, [key]: value };
+                    
+                    // 非法范围时恢复原值
+                    if (!Number.isFinite(value) || value < 0 || next.minFreq >= next.maxFreq) {
+                        e.target.value = this.config[key];
+                        return;
+                    }
+                    
+                    this.config[key] = value;
+                    this.createFilterBank();
+                    this.recreateTexture();
+                    this.analyzeCurrentFile();
+                });
+            });
+
+            // 平滑度：拖动时实时生效，松开后重新分析文件
+            const smoothing = this.element('smoothing');
+            this.on(smoothing, 'input', (e) => {
+                this.config.smoothing = parseFloat(e.target.value);
+                this.element('smoothingValue').textContent = this.config.smoothing;
+                this.reinitializeAudio();
+            });
+            this.on(smoothing, 'change', () => this.analyzeCurrentFile());
+
+            // 预处理滤波器：频率为 0 表示关闭
+            ['highPassFreq', 'lowPassFreq', 'bandPassFreq', 'bandPassQ'].forEach((key) => {
+                this.on(this.element(key), 'change', (e) => {
+                    const value = parseFloat(e.target.value);
+                    if (!Number.isFinite(value) || value < 0 || (key === 'bandPassQ' && value === 0)) {
+                        e.target.value = this.config[key];
+                        return;
+                    }
+                    this.config[key] = value;
+                    this.updateFilterChain();
+                    this.analyzeCurrentFile();
+                });
+            });
+
+            // 处理前/后对比
+            this.on(this.element('processing'), 'change', (e) => {
+                this.config.processing = e.target.checked;
+                this.updateFilterChain();
+                this.analyzeCurrentFile();
+            });
+
+            // 谱减强度：拖动时更新标签，松开后重新分析文件
+            const noiseReduction = this.element('noiseReduction');
+            this.on(noiseReduction, 'input', (e) => {
+                this.config.noiseReduction = parseFloat(e.target.value);
+                this.element('noiseReductionValue').textContent = this.config.noiseReduction.toFixed(1);
+            });
+            this.on(noiseReduction, 'change', () => this.analyzeCurrentFile());
+            
+            this.on(this.element('learnNoiseBtn'), 'click', () => this.learnNoiseProfile());
+            this.on(this.element('clearNoiseBtn'), 'click', () => this.clearNoiseProfile());
+
+            // Bloom 强度
+            this.on(this.element('bloomIntensity'), 'input', (e) => {
+                this.config.bloomIntensity = parseFloat(e.target.value);
+                this.element('bloomValue').textContent = this.config.bloomIntensity;
+                if (this.spectrogramMaterial) {
+                    this.spectrogramMaterial.uniforms.bloomIntensity.value = this.config.bloomIntensity;
+                }
+            });
+
+            // 显示范围 (dB)，保证下限低于上限
+            this.on(this.element('floorDb'), 'input', (e) => {
+                this.config.floorDb = Math.min(parseFloat(e.target.value), this.config.ceilingDb - 10);
+                e.target.value = this.config.floorDb;
+                this.element('floorDbValue').textContent = this.config.floorDb;
+            });
+
+            this.on(this.element('ceilingDb'), 'input', (e) => {
+                this.config.ceilingDb = Math.max(parseFloat(e.target.value), this.config.floorDb + 10);
+                e.target.value = this.config.ceilingDb;
+                this.element('ceilingDbValue').textContent = this.config.ceilingDb;
+            });
+
+            this.on(this.element('autoGain'), 'change', (e) => {
+                this.config.autoGain = e.target.checked;
+            });
+
+            // 波形和响度带
+            this.on(this.element('showLevelLanes'), 'change', (e) => {
+                this.config.showLevelLanes = e.target.checked;
+                this.layoutPlanes();
+            });
+
+            // 配色方案
+            this.on(this.element('colormap'), 'change', (e) => {
+                this.setColormap(e.target.value);
+            });
+
+            // 分析模式：关闭艺术效果，相关滑块一并禁用
+            // 3D 瀑布图：只需更新配置，切换动画在动画循环里进行
+            this.on(this.element('waterfall'), 'change', (e) => {
+                this.config.waterfall = e.target.checked;
+            });
+            this.on(this.element('waterfallHeight'), 'input', (e) => {
+                this.config.waterfallHeight = parseFloat(e.target.value);
+                this.element('waterfallHeightValue').textContent = this.config.waterfallHeight.toFixed(2);
+            });
+            
+            this.on(this.element('analysisMode'), 'change', (e) => {
+                this.config.analysisMode = e.target.checked;
+                this.spectrogramMaterial.uniforms.analysisMode.value = this.config.analysisMode ? 1 : 0;
+                ['bloomIntensity', 'exposure', 'gamma'].forEach((id) => {
+                    this.element(id).disabled = this.config.analysisMode;
+                });
+            });
+
+            // 滚动速度
+            this.on(this.element('scrollSpeed'), 'input', (e) => {
+                this.config.scrollSpeed = parseFloat(e.target.value);
+                this.updateTimingLabels();
+            });
+
+            const exposureControl = this.element('exposure');
+            if (exposureControl) {
+                this.on(exposureControl, 'input', (e) => {
+                    this.config.exposure = parseFloat(e.target.value);
+                    this.element('exposureValue').textContent = this.config.exposure.toFixed(1);
+                    if (this.spectrogramMaterial) {
+                        this.spectrogramMaterial.uniforms.exposure.value = this.config.exposure;
+                    }
+                });
+            }
+
+            // Gamma 控制
+            const gammaControl = this.element('gamma');
+            if (gammaControl) {
+                this.on(gammaControl, 'input', (e) => {
+                    this.config.gamma = parseFloat(e.target.value);
+                    this.element('gammaValue').textContent = this.config.gamma.toFixed(1);
+                    if (this.spectrogramMaterial) {
+                        this.spectrogramMaterial.uniforms.gamma.value = this.config.gamma;
+                    }
+                });
+            }
+        }
+
+        /**
+         * 预设、保存和分享链接
+         */
+        setupPresetControls() {
+            const select = this.element('presetSelect');
+            this.renderPresetOptions();
+            
+            this.on(select, 'change', () => {
+                const selected = select.value;
+                const [type, name] = selected.split(':');
+                if (type === 'builtin') this.applyConfig({ ...this.defaultConfig, ...PRESETS[name].config });
+                if (type === 'user') this.applyConfig({ ...this.defaultConfig, ...this.loadUserPresets()[name] });
+                select.value = selected; // applyConfig 会把选择重置为 Custom
+                this.element('deletePresetBtn').disabled = type !== 'user';
+            });
+            
+            this.on(this.element('savePresetBtn'), 'click', () => {
+                const name = (prompt('预设名称') || '').trim();
+                if (!name) return;
+                
+                const presets = this.loadUserPresets();
+                presets[name] = { ...this.config };
+                this.storeUserPresets(presets);
+                this.renderPresetOptions(`user:${name}`);
+            });
+            
+            this.on(this.element('deletePresetBtn'), 'click', () => {
+                const [type, name] = select.value.split(':');
+                if (type !== 'user' || !confirm(`删除预设「${name}」？`)) return;
+                
+                const presets = this.loadUserPresets();
+                delete presets[name];
+                this.storeUserPresets(presets);
+                this.renderPresetOptions();
+            });
+            
+            this.on(this.element('shareConfigBtn'), 'click', () => this.shareConfig());
+            
+            // 任何参数控件改动后保存配置，预设选择切回 Custom
+            const controlIds = new Set(Object.values(CONFIG_CONTROLS).map(({ id }) => id));
+            this.on(this.controls, 'change', (e) => {
+                if (!controlIds.has(e.target.id)) return;
+                select.value = '';
+                this.element('deletePresetBtn').disabled = true;
+                this.saveConfig();
+            });
+            
+            // 在已打开的页面里粘贴新链接
+            if (this.persist) {
+                this.on(window, 'hashchange', () => {
+                    this.applyConfig({ ...this.defaultConfig, ...this.parseConfigHash() });
+                });
+            }
+        }
+
+        /**
+         * 重建预设下拉框：内置预设和用户预设分组
+         */
+        renderPresetOptions(selected = '') {
+            const select = this.element('presetSelect');
+            select.innerHTML = '<option value="">Custom</option>';
+            
+            const addGroup = (label, entries) => {
+                if (entries.length === 0) return;
+                const group = document.createElement('optgroup');
+                group.label = label;
+                entries.forEach(([value, text]) => group.appendChild(new Option(text, value)));
+                select.appendChild(group);
+            };
+            addGroup('Built-in', Object.entries(PRESETS).map(([name, { label }]) => [`builtin:${name}`, label]));
+            addGroup('Saved', Object.keys(this.loadUserPresets()).map(name => [`user:${name}`, name]));
+            
+            select.value = selected;
+            this.element('deletePresetBtn').disabled = !selected.startsWith('user:');
+        }
+
+        /**
+         * 读取用户预设 { 名称: 配置 }
+         */
+        loadUserPresets() {
+            try {
+                return JSON.parse(localStorage.getItem(PRESET_STORAGE_KEY)) || {};
+            } catch (error) {
+                return {};
+            }
+        }
+
+        storeUserPresets(presets) {
+            try {
+                localStorage.setItem(PRESET_STORAGE_KEY, JSON.stringify(presets));
+            } catch (error) {
+                console.warn('⚠️ Could not save presets:', error);
+            }
+        }
+
+        /**
+         * 启动时的配置：URL hash 优先，其次是上次会话保存的配置
+         */
+        loadSavedConfig() {
+            const fromHash = this.parseConfigHash();
+            if (Object.keys(fromHash).length > 0) return fromHash;
+            
+            try {
+                return this.sanitizeConfig(JSON.parse(localStorage.getItem(CONFIG_STORAGE_KEY)) || {});
+            } catch (error) {
+                return {};
+            }
+        }
+
+        /**
+         * 解析 URL hash 中的配置（key=value&...）
+         */
+        parseConfigHash() {
+            const params = new URLSearchParams(window.location.hash.slice(1));
+            return this.sanitizeConfig(Object.fromEntries(params));
+        }
+
+        /**
+         * 只保留已知配置项，按默认值的类型转换，并按 CONFIG_CONTROLS 的取值范围校验
+         * 链接和 localStorage 都可能来自旧版本或被手工修改，嵌入时 setConfig 传入的值同样不可信
+         */
+        sanitizeConfig(values) {
+            const clean = {};
+            Object.entries(values).forEach(([key, raw]) => {
+                const current = this.config[key];
+                let value;
+                if (typeof current === 'number') value = Number(raw);
+                else if (typeof current === 'boolean') value = raw === true || raw === 'true';
+                else if (typeof current === 'string') value = String(raw);
+                else return; // 未知配置项
+                if (typeof value === 'number' && !Number.isFinite(value)) return;
+                
+                const { values: allowed, min, max, integer } = CONFIG_CONTROLS[key] || {};
+                if (allowed && !allowed.includes(value)) return;
+                if (min !== undefined && value < min) return;
+                if (max !== undefined && value > max) return;
+                if (integer && !Number.isInteger(value)) return;
+                clean[key] = value;
+            });
+            
+            // 范围类参数成对校验，不合法时两者都保持原值
+            const merged = { ...this.config, ...clean };
+            if (merged.minFreq >= merged.maxFreq) {
+                delete clean.minFreq;
+                delete clean.maxFreq;
+            }
+            if (merged.floorDb > merged.ceilingDb - 10) {
+                delete clean.floorDb;
+                delete clean.ceilingDb;
+            }
+            return clean;
+        }
+
+        /**
+         * 把配置写回各个控件和数值标签
+         */
+        syncControls() {
+            Object.entries(CONFIG_CONTROLS).forEach(([key, { id, label, digits, scale = 1 }]) => {
+                const control = this.element(id);
+                if (!control) return;
+                
+                const value = this.config[key];
+                if (control.type === 'checkbox') {
+                    control.checked = value;
+                } else {
+                    control.value = typeof value === 'number' ? value * scale : value;
+                }
+                if (label) {
+                    this.element(label).textContent = digits === undefined ? value : value.toFixed(digits);
+                }
+            });
+            
+            ['bloomIntensity', 'exposure', 'gamma'].forEach((id) => {
+                this.setControl(id, 'disabled', this.config.analysisMode);
+            });
+            this.updateTimingLabels();
+        }
+
+        /**
+         * 一次性应用一组配置（预设或链接），只重建受影响的部分
+         */
+        applyConfig(values) {
+            const previous = { ...this.config };
+            Object.assign(this.config, this.sanitizeConfig(values));
+            const changed = (...keys) => keys.some(key => this.config[key] !== previous[key]);
+            
+            this.syncControls();
+            this.setControl('presetSelect', 'value', '');
+            
+            if (changed('fftSize', 'hopSize', 'windowType', 'smoothing', 'melBands', 'frequencyScale', 'minFreq', 'maxFreq', 'spectrogramWidth')) {
+                this.reinitializeAudio();
+                this.reconfigureStft();
+                this.createFilterBank();
+                if (changed('melBands', 'frequencyScale', 'minFreq', 'maxFreq', 'spectrogramWidth')) this.recreateTexture();
+                this.analyzeCurrentFile();
+            } else if (changed('detectMinFreq', 'detectMaxFreq', 'detectThresholdDb', 'detectMinDuration')) {
+                this.detectEvents();
+            }
+            
+            if (changed('processing', 'highPassFreq', 'lowPassFreq', 'bandPassFreq', 'bandPassQ', 'noiseReduction')) {
+                this.updateFilterChain();
+                this.analyzeCurrentFile();
+            }
+            if (changed('channelView')) this.updateChannelView();
+            if (changed('showLevelLanes')) this.layoutPlanes();
+            if (changed('colormap')) this.setColormap(this.config.colormap);
+            if (changed('preRollSeconds') && this.state === 'live') this.resizePreRoll();
+            if (changed('echoCancellation', 'noiseSuppression', 'autoGainControl')) this.restartMicrophone();
+            
+            const uniforms = this.spectrogramMaterial.uniforms;
+            uniforms.bloomIntensity.value = this.config.bloomIntensity;
+            uniforms.exposure.value = this.config.exposure;
+            uniforms.gamma.value = this.config.gamma;
+            uniforms.analysisMode.value = this.config.analysisMode ? 1 : 0;
+            
+            this.saveConfig();
+        }
+
+        /**
+         * 保存配置到 localStorage，并把与默认值不同的项写进 URL hash，地址栏随时可以直接分享
+         * 嵌入时默认不保存（persist 为 false），以免多个实例或宿主页面互相覆盖
+         */
+        saveConfig() {
+            if (!this.persist) return;
+            
+            try {
+                localStorage.setItem(CONFIG_STORAGE_KEY, JSON.stringify(this.config));
+            } catch (error) {
+                console.warn('⚠️ Could not save settings:', error);
+            }
+            
+            const params = new URLSearchParams();
+            Object.keys(this.defaultConfig).forEach((key) => {
+                if (this.config[key] !== this.defaultConfig[key]) params.set(key, this.config[key]);
+            });
+            const hash = params.toString();
+            const url = `${window.location.pathname}${window.location.search}${hash ? `#${hash}` : ''}`;
+            history.replaceState(null, '', url); // replaceState 不触发 hashchange
+        }
+
+        /**
+         * 复制包含完整配置的链接
+         */
+        async shareConfig() {
+            this.saveConfig();
+            const url = window.location.href;
+            try {
+                await navigator.clipboard.writeText(url);
+                console.log('🔗 Share link copied:', url);
+            } catch (error) {
+                prompt('复制此链接', url);
+            }
+        }
+
+        /**
+         * 开始录音
+         */
+        async startRecording() {
+            try {
+                await this.startLive(() => this.openMicrophone());
+                console.log('🎤 Recording started');
+            } catch (error) {
+                this.reportError('Microphone access failed', error, '无法访问麦克风，请检查权限设置');
+            }
+        }
+
+        /**
+         * 接入实时音源（connect 负责打开并连接）并切换到实时模式，麦克风录音和 attachStream 共用
+         */
+        async startLive(connect) {
+            await this.audioContext.resume();
+            await connect();
+            
+            // 切回实时模式
+            if (this.mode !== 'live') {
+                this.stopPlayback();
+                this.mode = 'live';
+                this.fileBuffer = null;
+                this.fileName = null;
+                this.loopRegion = null;
+                this.analysisToken++;
+                this.clearComparison();
+                this.createFilterBank();
+                this.recreateTexture();
+                this.updateTimingLabels();
+            }
+            
+            this.isRecording = true;
+            this.spectrogramData = [];
+            this.envelopeData = [];
+            this.pitchData = [];
+            this.liveFrameCount = 0;
+            this.rebuildChannelPlanes();
+            this.resetCapture();
+            this.clearAnnotations();
+            this.clearMatches();
+            this.detectEvents();
+            if (!this.stftNode) console.warn('⚠️ AudioWorklet unavailable, microphone audio will not be captured');
+            this.autoCeilingDb = this.config.ceilingDb;
+            this.lastAutoGainTime = 0;
+            this.setState('live');
+        }
+
+        /**
+         * 停止录音（不挂起 AudioContext，之后可以再次开始录音或播放文件）
+         */
+        stopRecording() {
+            this.isRecording = false;
+            this.releaseMicrophone();
+            this.disconnectChannelPlanes();
+            this.setState('idle');
+            
+            console.log('⏹ Recording stopped');
+        }
+
+        /**
+         * 麦克风采集约束：所选设备、浏览器处理开关，逐声道视图时请求立体声
+         */
+        getAudioConstraints() {
+            const audio = {
+                echoCancellation: this.config.echoCancellation,
+                noiseSuppression: this.config.noiseSuppression,
+                autoGainControl: this.config.autoGainControl
+            };
+            // 浏览器默认可能只给单声道
+            if (this.config.channelView !== 'mix') audio.channelCount = { ideal: 2 };
+            const select = this.element('inputDevice');
+            const deviceId = select ? select.value : '';
+            if (deviceId) audio.deviceId = { exact: deviceId };
+            return audio;
+        }
+
+        /**
+         * 打开麦克风并接入；已打开的麦克风先释放
+         */
+        async openMicrophone() {
+            this.releaseMicrophone();
+            
+            const stream = await navigator.mediaDevices.getUserMedia({ audio: this.getAudioConstraints() });
+            this.connectStream(stream, true);
+            
+            // 授权之后才能拿到设备名称
+            this.updateInputDevices();
+        }
+
+        /**
+         * 把 MediaStream 接入预处理链和输入电平表，owned 表示释放时由本组件结束其音轨
+         */
+        connectStream(stream, owned) {
+            this.releaseMicrophone();
+            
+            const track = stream.getAudioTracks()[0];
+            if (!track) throw new Error('MediaStream has no audio track');
+            const settings = track.getSettings();
+            
+            // 设备被拔出或被系统收回时停止录音
+            track.addEventListener('ended', () => {
+                if (this.micStream !== stream || this.state !== 'live') return;
+                console.warn('⚠️ Microphone disconnected');
+                this.stopRecording();
+            });
+            
+            const context = this.audioContext;
+            const source = context.createMediaStreamSource(stream);
+            source.connect(this.chainInput);
+            this.micStream = stream;
+            this.micOwned = owned;
+            this.micSource = source;
+            this.liveChannelCount = settings.channelCount || 1;
+            
+            // 电平表逐声道读取，任一声道削波都能发现
+            const splitter = context.createChannelSplitter(this.liveChannelCount);
+            source.connect(splitter);
+            const analysers = [];
+            for (let c = 0; c < this.liveChannelCount; c++) {
+                const analyser = context.createAnalyser();
+                analyser.fftSize = 2048;
+                splitter.connect(analyser, c);
+                analysers.push(analyser);
+            }
+            this.inputMeter = { splitter, analysers, buffers: analysers.map(a => new Float32Array(a.fftSize)) };
+            
+            console.log(`🎤 ${owned ? 'Microphone opened' : 'Stream connected'}: ${track.label || 'default device'}, ${this.liveChannelCount} channel(s), `
+                + `echo cancellation ${settings.echoCancellation ? 'on' : 'off'}, noise suppression ${settings.noiseSuppression ? 'on' : 'off'}, `
+                + `auto gain ${settings.autoGainControl ? 'on' : 'off'}`);
+        }
+
+        /**
+         * 断开实时音源；自己打开的麦克风同时结束音轨，浏览器随之释放设备
+         */
+        releaseMicrophone() {
+            if (this.micSource) {
+                this.micSource.disconnect();
+                this.micSource = null;
+            }
+            if (this.inputMeter) {
+                this.inputMeter.splitter.disconnect();
+                this.inputMeter = null;
+            }
+            if (this.micStream) {
+                if (this.micOwned) this.micStream.getTracks().forEach(track => track.stop());
+                this.micStream = null;
+                this.micOwned = false;
+            }
+            this.updateInputMeter();
+        }
+
+        /**
+         * 录音中切换输入设备或采集约束：重新打开麦克风，录音和显示的数据不中断
+         */
+        async restartMicrophone() {
+            // 外部传入的流不受输入设备和采集约束控制
+            if (this.state !== 'live' || !this.micOwned) return;
+            
+            const channelCount = this.liveChannelCount;
+            try {
+                await this.openMicrophone();
+            } catch (error) {
+                this.reportError('Microphone restart failed', error, '无法切换麦克风，录音已停止');
+                this.stopRecording();
+                return;
+            }
+            if (this.liveChannelCount !== channelCount) this.rebuildChannelPlanes();
+        }
+
+        /**
+         * 用 enumerateDevices 刷新输入设备列表，保留当前选择（设备已移除时回到默认设备）
+         */
+        async updateInputDevices() {
+            const select = this.element('inputDevice');
+            if (!select || !navigator.mediaDevices || !navigator.mediaDevices.enumerateDevices) return;
+            
+            const saved = this.persist ? localStorage.getItem(INPUT_DEVICE_STORAGE_KEY) : null;
+            const selected = select.value || saved || '';
+            const devices = (await navigator.mediaDevices.enumerateDevices()).filter(d => d.kind === 'audioinput');
+            
+            select.innerHTML = '';
+            select.appendChild(new Option('Default', ''));
+            devices.forEach((device, i) => {
+                // Chrome 额外列出的 default 与上面的 Default 重复
+                if (device.deviceId === 'default' || !device.deviceId) return;
+                select.appendChild(new Option(device.label || `Microphone ${i + 1}`, device.deviceId));
+            });
+            select.value = [...select.options].some(o => o.value === selected) ? selected : '';
+        }
+
+        /**
+         * 刷新输入电平表：峰值条、RMS 条和削波提示（削波后保持 CLIP_HOLD_MS）
+         */
+        updateInputMeter() {
+            const peakBar = this.element('inputMeterPeak');
+            const rmsBar = this.element('inputMeterRms');
+            const label = this.element('inputMeterValue');
+            const clip = this.element('clipIndicator');
+            if (!peakBar) return;
+            
+            let peakDb = SILENCE_DB;
+            let rmsDb = SILENCE_DB;
+            if (this.inputMeter) {
+                const { analysers, buffers } = this.inputMeter;
+                analysers.forEach((analyser, c) => analyser.getFloatTimeDomainData(buffers[c]));
+                const { rms, peak, clipped } = computeEnvelope(buffers, 0, buffers[0].length);
+                if (peak > 0) peakDb = 20 * Math.log10(peak);
+                if (rms > 0) rmsDb = 20 * Math.log10(rms);
+                if (clipped) this.clipTime = performance.now();
+            } else {
+                this.clipTime = 0;
+            }
+            
+            const toPercent = (db) => `${Math.max(0, Math.min(1, 1 - db / INPUT_METER_FLOOR_DB)) * 100}%`;
+            peakBar.style.width = toPercent(peakDb);
+            rmsBar.style.width = toPercent(rmsDb);
+            label.textContent = this.inputMeter && peakDb > INPUT_METER_FLOOR_DB ? `${peakDb.toFixed(1)} dB` : '—';
+            clip.classList.toggle('active', performance.now() - this.clipTime < CLIP_HOLD_MS);
+        }
+
+        /**
+         * Stop 按钮：按当前状态停止录音或播放
+         */
+        stop() {
+            if (this.state === 'live') {
+                this.stopRecording();
+            } else {
+                this.stopPlayback();
+            }
+        }
+
+        /**
+         * 切换状态，同步按钮并派发 statechange 事件
+         */
+        setState(state) {
+            const previous = this.state;
+            this.state = state;
+            
+            // 只有文件播放时才把声音送到扬声器
+            if (this.outputGain) {
+                this.outputGain.gain.value = state === 'playing' ? 1 : 0;
+            }
+            
+            this.setControl('playBtn', 'disabled', !this.fileBuffer || state === 'live');
+            this.setControl('loadCompareBtn', 'disabled', !this.fileBuffer || state === 'live');
+            this.setControl('playBtn', 'textContent', state === 'playing' ? '⏸ Pause' : (state === 'paused' ? '▶ Resume' : '▶ Play'));
+            
+            this.setControl('startBtn', 'disabled', state === 'live');
+            this.setControl('stopBtn', 'disabled', !['live', 'playing', 'paused'].includes(state));
+            
+            if (state !== previous) this.emit('statechange', { state, previous });
+        }
+
+        /**
+         * 加载音频文件（离线分析整个文件）
+         */
+        async loadAudioFile(file) {
+            try {
+                const arrayBuffer = await file.arrayBuffer();
+                const audioBuffer = await this.audioContext.decodeAudioData(arrayBuffer);
+                await this.loadBuffer(audioBuffer, file.name);
+            } catch (error) {
+                this.reportError('Audio file loading failed', error, '音频文件加载失败');
+            }
+        }
+
+        /**
+         * 加载参考录音，与当前文件使用同样的参数和时间、频率轴
+         */
+        async loadComparisonFile(file) {
+            if (this.mode !== 'file' || !this.fileBuffer) return;
+            
+            try {
+                const arrayBuffer = await file.arrayBuffer();
+                const audioBuffer = await this.audioContext.decodeAudioData(arrayBuffer);
+                
+                this.comparison = { buffer: audioBuffer, name: file.name };
+                if (this.comparePlane) this.comparePlane.offset = 0;
+                this.setControl('compareOffset', 'value', 0);
+                await this.analyzeCurrentFile();
+                
+                console.log(`🔀 Reference loaded: ${file.name} (${audioBuffer.duration.toFixed(1)}s)`);
+            } catch (error) {
+                this.reportError('Reference file loading failed', error, '参考音频加载失败');
+            }
+        }
+
+        /**
+         * 移除参考录音
+         */
+        clearComparison() {
+            if (this.comparePlane) this.removePlane(this.comparePlane);
+            this.comparison = null;
+            this.comparePlane = null;
+            this.setControl('compareOffset', 'value', 0);
+            this.updateCompareView();
+        }
+
+        /**
+         * 差值和叠加视图在主平面的着色器里混合两份纹理，不单独显示参考平面
+         */
+        isCompareBlended() {
+            return Boolean(this.comparePlane) && this.compareView !== 'split';
+        }
+
+        /**
+         * 按对比视图同步着色器、参考平面的可见性和标签
+         */
+        updateCompareView() {
+            const plane = this.comparePlane;
+            const blended = this.isCompareBlended();
+            const uniforms = this.spectrogramMaterial.uniforms;
+            uniforms.compareMode.value = blended ? (this.compareView === 'difference' ? 1 : 2) : 0;
+            uniforms.compareTexture.value = plane ? plane.texture : this.spectrogramTexture;
+            
+            if (plane) {
+                this.updateCompareLabel();
+                plane.mesh.visible = !blended;
+            }
+            this.setControl('clearCompareBtn', 'disabled', !plane);
+            
+            this.updatePrimaryLabel();
+            this.layoutPlanes();
+            if (plane && blended) plane.labelElement.classList.add('hidden');
+        }
+
+        /**
+         * 设置参考录音的时间偏移（秒），正值表示参考向后（右）平移
+         */
+        setCompareOffset(seconds) {
+            if (!this.comparePlane || !Number.isFinite(seconds)) return;
+            
+            this.comparePlane.offset = seconds;
+            this.setControl('compareOffset', 'value', seconds.toFixed(2));
+            this.updateCompareLabel();
+            this.renderFileView();
+        }
+
+        /**
+         * 参考平面标签：文件名和当前偏移
+         */
+        updateCompareLabel() {
+            const plane = this.comparePlane;
+            const offset = `${plane.offset >= 0 ? '+' : ''}${plane.offset.toFixed(2)} s`;
+            plane.label = `Ref: ${this.comparison.name} (${offset})`;
+            plane.labelElement.textContent = plane.label;
+        }
+
+        /**
+         * 计算参考录音的频谱帧：先重采样到当前文件的采样率，保证频带和列速率一致，
+         * 再经过同样的预处理；返回 null 表示分析被新的请求取消
+         */
+        async analyzeComparison(cancelled) {
+            const resampled = await this.resampleBuffer(this.comparison.buffer, this.fileBuffer.sampleRate);
+            const filtered = await this.renderFilteredBuffer(resampled);
+            if (cancelled()) return null;
+            const channels = [];
+            for (let c = 0; c < filtered.numberOfChannels; c++) {
+                channels.push(filtered.getChannelData(c));
+            }
+            return this.computeFrames(mixToMono(channels), cancelled);
+        }
+
+        /**
+         * 用 OfflineAudioContext 把 AudioBuffer 重采样到 sampleRate，采样率相同时原样返回
+         */
+        async resampleBuffer(source, sampleRate) {
+            if (source.sampleRate === sampleRate) return source;
+            
+            const length = Math.ceil(source.duration * sampleRate);
+            const context = new OfflineAudioContext(source.numberOfChannels, length, sampleRate);
+            const node = context.createBufferSource();
+            node.buffer = source;
+            node.connect(context.destination);
+            node.start();
+            return context.startRendering();
+        }
+
+        /**
+         * 拖入的文件和文件夹（递归展开）中的全部文件
+         */
+        async collectDroppedFiles(dataTransfer) {
+            const entries = Array.from(dataTransfer.items || [])
+                .map(item => item.webkitGetAsEntry && item.webkitGetAsEntry())
+                .filter(Boolean);
+            if (entries.length === 0) return Array.from(dataTransfer.files);
+            
+            const files = [];
+            const visit = async (entry) => {
+                if (entry.isFile) {
+                    files.push(await new Promise((resolve, reject) => entry.file(resolve, reject)));
+                    return;
+                }
+                // readEntries 每次只返回一部分，读到空数组为止
+                const reader = entry.createReader();
+                let batch;
+                do {
+                    batch = await new Promise((resolve, reject) => reader.readEntries(resolve, reject));
+                    for (const child of batch) await visit(child);
+                } while (batch.length > 0);
+            };
+            for (const entry of entries) await visit(entry);
+            return files;
+        }
+
+        /**
+         * 批量离线分析：逐个解码并用当前参数和滤波器组计算频谱，
+         * 生成缩略图和统计（时长、采样率、峰值电平、主频带、活动占比），可随时取消
+         */
+        async runBatch(files) {
+            if (this.state === 'live') {
+                this.reportError('Batch processing is unavailable while recording', null, '请先停止录音，再进行批量处理');
+                return;
+            }
+            if (!this.filterBank) this.createFilterBank();
+            
+            const audioFiles = files
+                .filter(file => file.type.startsWith('audio/') || AUDIO_FILE_PATTERN.test(file.name))
+                .sort((a, b) => (a.webkitRelativePath || a.name).localeCompare(b.webkitRelativePath || b.name, undefined, { numeric: true }));
+            if (audioFiles.length === 0) {
+                this.reportError('No audio files to analyse', null, '没有找到可以分析的音频文件');
+                return;
+            }
+            
+            const token = ++this.batchToken;
+            const cancelled = () => token !== this.batchToken;
+            this.batchResults = [];
+            
+            const panel = this.element('batchPanel');
+            const gallery = this.element('batchGallery');
+            const progress = this.element('batchProgress');
+            const status = this.element('batchStatus');
+            panel.classList.remove('hidden');
+            gallery.innerHTML = '';
+            progress.max = audioFiles.length;
+            progress.value = 0;
+            this.element('cancelBatchBtn').disabled = false;
+            console.log(`📚 Batch started: ${audioFiles.length} files`);
+            
+            for (let i = 0; i < audioFiles.length; i++) {
+                const file = audioFiles[i];
+                status.textContent = `${i + 1}/${audioFiles.length} · ${file.name}`;
+                
+                let result;
+                try {
+                    const audioBuffer = await this.audioContext.decodeAudioData(await file.arrayBuffer());
+                    if (cancelled()) break;
+                    result = await this.analyzeBatchFile(audioBuffer, cancelled);
+                    if (!result) break;
+                } catch (error) {
+                    if (cancelled()) break;
+                    console.error(`❌ Batch analysis failed for ${file.name}:`, error);
+                    result = { error: error.message || String(error) };
+                }
+                
+                result.name = file.webkitRelativePath || file.name;
+                result.file = file;
+                this.batchResults.push(result);
+                gallery.appendChild(this.createBatchCard(result));
+                progress.value = i + 1;
+            }
+            
+            // 取消时的状态由 cancelBatch 显示
+            if (cancelled()) return;
+            status.textContent = `Done · ${audioFiles.length} files`;
+            this.element('cancelBatchBtn').disabled = true;
+            console.log(`📚 Batch complete: ${audioFiles.length} files`);
+        }
+
+        /**
+         * 取消进行中的批量处理（已完成的结果保留）
+         */
+        cancelBatch() {
+            const button = this.element('cancelBatchBtn');
+            if (button.disabled) return;
+            
+            this.batchToken++;
+            button.disabled = true;
+            this.element('batchStatus').textContent = `Cancelled · ${this.batchResults.length} files`;
+            console.log(`📚 Batch cancelled after ${this.batchResults.length} files`);
+        }
+
+        /**
+         * 分析批量中的一个文件：重采样到当前滤波器组的采样率，经过同样的预处理，
+         * 返回统计和缩略图；返回 null 表示被取消
+         */
+        async analyzeBatchFile(audioBuffer, cancelled) {
+            const resampled = await this.resampleBuffer(audioBuffer, this.getSampleRate());
+            const filtered = await this.renderFilteredBuffer(resampled);
+            if (cancelled()) return null;
+            const channels = [];
+            for (let c = 0; c < filtered.numberOfChannels; c++) {
+                channels.push(filtered.getChannelData(c));
+            }
+            const frames = await this.computeFrames(mixToMono(channels), cancelled);
+            if (!frames) return null;
+            
+            // 峰值电平取未经预处理的原始采样
+            const rawChannels = [];
+            for (let c = 0; c < audioBuffer.numberOfChannels; c++) {
+                rawChannels.push(audioBuffer.getChannelData(c));
+            }
+            const { peak, clipped } = computeEnvelope(rawChannels, 0, audioBuffer.length);
+            
+            // 主频带：全文件平均功率最高的频带
+            const bandPower = new Float64Array(this.bandCenters.length);
+            frames.forEach((frame) => {
+                for (let b = 0; b < frame.length; b++) bandPower[b] += Math.pow(10, frame[b] / 10);
+            });
+            const dominantBand = bandPower.indexOf(Math.max(...bandPower));
+            
+            // 活动占比：检测到的事件总时长 / 文件时长
+            const detector = this.createEventDetector();
+            const events = [];
+            frames.forEach((frame, i) => {
+                const event = detector.process(frame, i);
+                if (event) events.push(event);
+            });
+            const last = detector.flush();
+            if (last) events.push(last);
+            const active = events.reduce((sum, event) => sum + event.end - event.start, 0);
+            
+            return {
+                duration: audioBuffer.duration,
+                sampleRate: audioBuffer.sampleRate,
+                channels: audioBuffer.numberOfChannels,
+                peakDb: peak > 0 ? 20 * Math.log10(peak) : SILENCE_DB,
+                clipped,
+                dominantFreq: this.bandCenters[dominantBand],
+                eventCount: events.length,
+                activity: Math.min(1, active / audioBuffer.duration),
+                thumbnail: this.renderThumbnail(frames)
+            };
+        }
+
+        /**
+         * 把整个文件的频带帧缩成一张缩略图（每列取所覆盖帧的最大值），配色和显示范围与主视图一致
+         */
+        renderThumbnail(frames) {
+            const bands = this.bandCenters.length;
+            const width = Math.min(BATCH_THUMBNAIL_WIDTH, frames.length);
+            const canvas = document.createElement('canvas');
+            canvas.width = width;
+            canvas.height = bands;
+            
+            // 自动增益时以文件内的峰值为上限
+            let { floorDb, ceilingDb } = this.config;
+            if (this.config.autoGain) {
+                const peak = frames.reduce((max, frame) => Math.max(max, ...frame), SILENCE_DB);
+                floorDb = peak - (ceilingDb - floorDb);
+                ceilingDb = peak;
+            }
+            
+            const colormap = COLORMAPS[this.config.colormap] || COLORMAPS.artistic;
+            const ctx = canvas.getContext('2d');
+            const image = ctx.createImageData(width, bands);
+            const column = new Float32Array(bands);
+            for (let x = 0; x < width; x++) {
+                const from = Math.floor(x * frames.length / width);
+                const to = Math.max(from + 1, Math.floor((x + 1) * frames.length / width));
+                column.fill(SILENCE_DB);
+                for (let f = from; f < to; f++) {
+                    for (let b = 0; b < bands; b++) column[b] = Math.max(column[b], frames[f][b]);
+                }
+                for (let b = 0; b < bands; b++) {
+                    const t = Math.max(0, Math.min(1, (column[b] - floorDb) / (ceilingDb - floorDb)));
+                    const [red, green, blue] = colormap(t);
+                    const i = ((bands - 1 - b) * width + x) * 4;
+                    image.data[i] = red * 255;
+                    image.data[i + 1] = green * 255;
+                    image.data[i + 2] = blue * 255;
+                    image.data[i + 3] = 255;
+                }
+            }
+            ctx.putImageData(image, 0, 0);
+            return canvas;
+        }
+
+        /**
+         * 画廊中的一个文件：缩略图和统计，单击在主视图中打开
+         */
+        createBatchCard(result) {
+            const card = document.createElement('div');
+            card.className = 'batch-card';
+            card.title = result.name;
+            
+            const name = document.createElement('div');
+            name.className = 'batch-name';
+            name.textContent = result.name;
+            
+            const stats = document.createElement('div');
+            stats.className = 'batch-stats';
+            
+            if (result.error) {
+                card.classList.add('failed');
+                stats.textContent = `Failed: ${result.error}`;
+                card.append(name, stats);
+                return card;
+            }
+            
+            stats.textContent = `${result.duration.toFixed(1)}s · ${(result.sampleRate / 1000).toFixed(1)} kHz · `
+                + `peak ${result.peakDb.toFixed(1)} dBFS${result.clipped ? ' (clipped)' : ''} · `
+                + `${this.formatFrequency(result.dominantFreq)} · ${(result.activity * 100).toFixed(0)}% active`;
+            card.append(result.thumbnail, name, stats);
+            card.addEventListener('click', () => this.loadAudioFile(result.file));
+            return card;
+        }
+
+        /**
+         * 导出批量处理的汇总 CSV，每个文件一行
+         */
+        exportBatchCsv() {
+            if (this.batchResults.length === 0) return;
+            
+            // 文件名中的逗号、引号和换行需要加引号转义
+            const quote = (text) => (/[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text);
+            const rows = ['file,duration_s,sample_rate_hz,channels,peak_dbfs,clipped,dominant_freq_hz,events,activity_percent,error\n'];
+            this.batchResults.forEach((result) => {
+                if (result.error) {
+                    rows.push(`${quote(result.name)},,,,,,,,,${quote(result.error)}\n`);
+                    return;
+                }
+                rows.push([
+                    quote(result.name),
+                    result.duration.toFixed(3),
+                    result.sampleRate,
+                    result.channels,
+                    result.peakDb.toFixed(2),
+                    result.clipped ? 1 : 0,
+                    result.dominantFreq.toFixed(1),
+                    result.eventCount,
+                    (result.activity * 100).toFixed(1),
+                    ''
+                ].join(',') + '\n');
+            });
+            
+            const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+            this.downloadBlob(new Blob(rows, { type: 'text/csv' }), `batch-summary-${stamp}.csv`);
+            console.log(`💾 Batch summary exported: ${this.batchResults.length} files`);
+        }
+
+        /**
+         * 播放/暂停/继续
+         */
+        togglePlayback() {
+            if (this.state === 'playing') {
+                this.pause();
+            } else {
+                this.play();
+            }
+        }
+
+        /**
+         * 从当前位置开始播放
+         */
+        async play() {
+            if (!this.fileBuffer || this.state === 'playing') return;
+            
+            // 先切换状态：等待 resume 期间再次调用不会创建第二个音源
+            this.setState('playing');
+            await this.audioContext.resume();
+            
+            // 等待期间被暂停、停止，或已由另一次调用启动
+            if (this.state !== 'playing' || this.playback.source) return;
+            this.startSource(this.playback.offset);
+        }
+
+        /**
+         * 从 offset（秒）启动新的 BufferSource 并替换当前音源，不改变播放状态
+         */
+        startSource(offset) {
+            this.releaseSource();
+            
+            const source = this.audioContext.createBufferSource();
+            source.buffer = this.fileBuffer;
+            source.connect(this.chainInput);
+            
+            if (this.loopEnabled) {
+                const { start, end } = this.getLoopBounds();
+                source.loop = true;
+                source.loopStart = start;
+                source.loopEnd = end;
+                if (offset < start || offset >= end) offset = start;
+            } else if (offset >= this.fileBuffer.duration) {
+                offset = 0;
+            }
+            
+            source.onended = () => {
+                // 手动停止时 source 已被替换，只处理自然播放结束
+                if (this.playback.source !== source) return;
+                this.playback = { source: null, startedAt: 0, offset: 0 };
+                this.setState('stopped');
+            };
+            
+            source.start(0, offset);
+            this.playback = { source, startedAt: this.audioContext.currentTime, offset };
+        }
+
+        /**
+         * 暂停并记住位置
+         */
+        pause() {
+            if (this.state !== 'playing') return;
+            const offset = this.getPlaybackTime();
+            this.releaseSource();
+            this.playback.offset = offset;
+            this.setState('paused');
+        }
+
+        /**
+         * 停止播放并回到开头
+         */
+        stopPlayback() {
+            this.releaseSource();
+            this.playback = { source: null, startedAt: 0, offset: 0 };
+            if (this.state !== 'idle' && this.state !== 'live') this.setState('stopped');
+        }
+
+        /**
+         * 断开并停止当前的 BufferSource
+         */
+        releaseSource() {
+            const source = this.playback.source;
+            if (!source) return;
+            
+            this.playback.source = null;
+            source.onended = null;
+            source.stop();
+            source.disconnect();
+        }
+
+        /**
+         * 跳转到指定时间（秒），播放中则从新位置继续
+         */
+        seek(time) {
+            if (!this.fileBuffer) return;
+            const offset = Math.max(0, Math.min(this.fileBuffer.duration, time));
+            
+            this.playback.offset = offset;
+            // 播放中直接替换音源，状态保持 playing；音源尚未启动时由 play 从新位置开始
+            if (this.state === 'playing' && this.playback.source) this.startSource(offset);
+        }
+
+        /**
+         * 当前播放位置（秒），循环播放时折回循环区间
+         */
+        getPlaybackTime() {
+            const { source, startedAt, offset } = this.playback;
+            if (!source) return offset;
+            
+            let time = offset + this.audioContext.currentTime - startedAt;
+            if (source.loop) {
+                const { loopStart, loopEnd } = source;
+                if (time >= loopEnd) time = loopStart + (time - loopStart) % (loopEnd - loopStart);
+            }
+            return Math.min(time, this.fileBuffer.duration);
+        }
+
+        /**
+         * 循环区间，未选择时为整个文件
+         */
+        getLoopBounds() {
+            if (this.loopRegion) return this.loopRegion;
+            return { start: 0, end: this.fileBuffer.duration };
+        }
+
+        /**
+         * 开关循环，播放中立即生效
+         */
+        setLoopEnabled(enabled) {
+            this.loopEnabled = enabled;
+            if (this.state === 'playing') this.seek(this.getPlaybackTime());
+        }
+
+        /**
+         * 设置循环区间（秒），null 表示清除
+         */
+        setLoopRegion(region) {
+            this.loopRegion = region;
+            if (this.state === 'playing' && this.loopEnabled) this.seek(this.getPlaybackTime());
+        }
+
+        /**
+         * 用当前参数重新分析已加载的文件
+         */
+        async analyzeCurrentFile() {
+            if (!this.fileBuffer) return;
+
+            const loading = this.element('loading');
+            if (loading) loading.classList.remove('hidden');
+            
+            let result = {};
+            try {
+                result = await this.analyzeAudioBuffer(this.fileBuffer);
+                if (!result) return; // 被更新的分析请求取代
+                
+                this.rebuildChannelPlanes();
+                this.channelPlanes.forEach((lane, i) => {
+                    lane.frames = result.channelFrames[i];
+                });
+                if (result.compareFrames) {
+                    if (!this.comparePlane) this.comparePlane = this.createChannelPlane({ label: '' });
+                    this.comparePlane.frames = result.compareFrames;
+                }
+                this.updateCompareView();
+                this.spectrogramData = result.frames;
+                this.envelopeData = result.envelope;
+                this.pitchData = result.pitch;
+                this.setView(0, result.frames.length);
+                this.detectEvents();
+            } catch (error) {
+                // 参数控件不等待分析完成，失败在这里报告，不留下未处理的 rejection
+                this.reportError('File analysis failed', error, '音频分析失败');
+            } finally {
+                // 被取代的分析不关闭加载提示，交给最新的一次
+                if (result && loading) loading.classList.add('hidden');
+            }
+        }
+
+        /**
+         * 离线计算整个 AudioBuffer 的频带频谱帧
+         * 返回 { frames, channelFrames, compareFrames, envelope }，channelFrames 按 getChannelLaneSpecs 的顺序对应各通道平面，
+         * compareFrames 为参考录音（没有时为 null），envelope 和 pitch 为逐帧的波形包络和主频估计；
+         * 返回 null 表示分析被新的请求取消
+         */
+        async analyzeAudioBuffer(audioBuffer) {
+            const token = ++this.analysisToken;
+            const cancelled = () => token !== this.analysisToken;
+            
+            // 经过预处理滤波器后混合为单声道
+            const filtered = await this.renderFilteredBuffer(audioBuffer);
+            if (cancelled()) return null;
+            const channels = [];
+            for (let c = 0; c < filtered.numberOfChannels; c++) {
+                channels.push(filtered.getChannelData(c));
+            }
+            const samples = mixToMono(channels);
+            this.analysisSamples = samples; // 学习噪声谱时复用
+            
+            const pitch = [];
+            const frames = await this.computeFrames(samples, cancelled, pitch);
+            if (!frames) return null;
+            
+            // 逐声道或 Mid/Side 通道
+            const channelFrames = [];
+            for (const { channel, weights } of this.getChannelLaneSpecs(channels.length)) {
+                const laneSamples = weights
+                    ? channels[0].map((left, i) => left * weights[0] + channels[1][i] * weights[1])
+                    : channels[channel];
+                const laneFrames = await this.computeFrames(laneSamples, cancelled);
+                if (!laneFrames) return null;
+                channelFrames.push(laneFrames);
+            }
+            
+            let compareFrames = null;
+            if (this.comparison) {
+                compareFrames = await this.analyzeComparison(cancelled);
+                if (!compareFrames) return null;
+            }
+            
+            // 波形包络取未经预处理的原始采样，削波按原始电平判断
+            const rawChannels = [];
+            for (let c = 0; c < audioBuffer.numberOfChannels; c++) {
+                rawChannels.push(audioBuffer.getChannelData(c));
+            }
+            const hopSize = this.getHopSize();
+            const envelope = frames.map((_, f) => computeEnvelope(rawChannels, f * hopSize, (f + 1) * hopSize));
+            
+            console.log(`📊 Offline analysis complete: ${frames.length} frames × ${1 + channelFrames.length} plane(s)`);
+            return { frames, channelFrames, compareFrames, envelope, pitch };
+        }
+
+        /**
+         * 计算一段单声道采样的全部频带频谱帧，cancelled() 为真时返回 null（分析被新的请求取消）
+         * 传入 pitchTrack 数组时同时填入逐帧的主频估计
+         */
+        async computeFrames(samples, cancelled, pitchTrack = null) {
+            const fftSize = this.config.fftSize;
+            const hopSize = this.getHopSize();
+            const frameCount = getFrameCount(samples.length, fftSize, hopSize);
+            const frames = new Array(frameCount);
+            const spectrumDb = new Float32Array(fftSize / 2);
+            const smoothed = new Float32Array(fftSize / 2);
+            
+            for (let f = 0; f < frameCount; f++) {
+                computeDbSpectrum(samples, f * hopSize, this.analysisWindow, this.config.smoothing, smoothed, spectrumDb);
+                frames[f] = this.applyFilterBank(this.processSpectrum(spectrumDb));
+                if (pitchTrack) pitchTrack[f] = this.estimatePitch(spectrumDb);
+                
+                // 分批让出主线程，避免界面卡死
+                if (f % 500 === 499) {
+                    await new Promise(resolve => setTimeout(resolve, 0));
+                    if (cancelled()) return null;
+                }
+            }
+            
+            return cancelled() ? null : frames;
+        }
+
+        /**
+         * 设置文件模式下的可见帧范围
+         */
+        setView(start, end) {
+            const total = this.spectrogramData.length;
+            const minSpan = Math.min(total, 16);
+            let span = Math.max(minSpan, Math.min(total, end - start));
+            start = Math.max(0, Math.min(total - span, start));
+            
+            this.view = { start, end: start + span };
+            this.renderFileView();
+        }
+
+        /**
+         * 将可见帧范围重采样到纹理列
+         * 缩小时每列取所覆盖帧的最大值，避免短促的鸣叫被丢掉
+         */
+        renderFileView() {
+            if (this.mode !== 'file' || !this.spectrogramTexture) return;
+            
+            // 文件模式的自动增益以主平面可见范围内的峰值为上限
+            this.autoCeilingDb = this.renderFramesToTexture(this.spectrogramData, this.spectrogramTexture);
+            
+            // 文件视图整张重绘，不使用环形偏移
+            this.writeHead = 0;
+            this.spectrogramMaterial.uniforms.scrollOffset.value = 0;
+            
+            this.getLanes().forEach((lane) => {
+                this.renderFramesToTexture(lane.frames, lane.texture, lane.offset * this.getColumnsPerSecond());
+                lane.writeHead = 0;
+                lane.material.uniforms.scrollOffset.value = 0;
+            });
+        }
+
+        /**
+         * 把 frames 的可见范围写入整张纹理，返回范围内的峰值 (dB)
+         * offset 为 frames 相对时间轴向后平移的帧数
+         */
+        renderFramesToTexture(frames, texture, offset = 0) {
+            const width = this.config.spectrogramWidth;
+            const bands = this.config.melBands;
+            const start = this.view.start - offset;
+            const end = this.view.end - offset;
+            const framesPerColumn = (end - start) / width;
+            const column = new Float32Array(bands);
+            let peak = SILENCE_DB;
+            
+            for (let x = 0; x < width; x++) {
+                const from = Math.floor(start + x * framesPerColumn);
+                const to = Math.max(from + 1, Math.floor(start + (x + 1) * framesPerColumn));
+                column.fill(SILENCE_DB);
+                for (let f = Math.max(0, from); f < to && f < frames.length; f++) {
+                    const frame = frames[f];
+                    for (let y = 0; y < bands; y++) {
+                        if (frame[y] > column[y]) column[y] = frame[y];
+                        if (frame[y] > peak) peak = frame[y];
+                    }
+                }
+                this.writeTextureColumn(x, column, texture);
+            }
+            
+            texture.needsUpdate = true;
+            return peak;
+        }
+
+        /**
+         * 计算主频谱图平面（混合/Mid）在页面上的像素区域
+         */
+        getPlaneRect() {
+            return this.getMeshRect(this.spectrogramPlane);
+        }
+
+        /**
+         * 计算任一频谱图平面在页面上的像素区域（考虑堆叠时的位置和缩放）
+         */
+        getMeshRect(mesh) {
+            const plane = mesh.geometry.parameters;
+            return this.getWorldRect(mesh.position.x, mesh.position.y, plane.width * mesh.scale.x, plane.height * mesh.scale.y);
+        }
+
+        /**
+         * 世界坐标中以 (x, y) 为中心的矩形在页面上的像素区域
+         */
+        getWorldRect(x, y, worldWidth, worldHeight) {
+            const rect = this.canvas.getBoundingClientRect();
+            const { left, right, top, bottom } = this.camera;
+            const width = rect.width * worldWidth / (right - left);
+            const height = rect.height * worldHeight / (top - bottom);
+            const centerX = rect.left + rect.width * (x - left) / (right - left);
+            const centerY = rect.top + rect.height * (top - y) / (top - bottom);
+            
+            return {
+                left: centerX - width / 2,
+                top: centerY - height / 2,
+                width,
+                height
+            };
+        }
+
+        /**
+         * 所有堆叠平面和波形/响度带合起来的像素区域，播放头和循环区间跨越整个堆叠
+         */
+        getStackRect() {
+            const rect = this.getPlaneRect();
+            const top = this.getMeshRect(this.getPlanes()[0].mesh).top;
+            const lanes = this.getLevelLaneRects();
+            const last = lanes[lanes.length - 1];
+            const bottom = last ? last.top + last.height : rect.top + rect.height;
+            return { left: rect.left, top, width: rect.width, height: bottom - top };
+        }
+
+        /**
+         * 波形和响度带在页面上的像素区域 { kind, left, top, width, height }
+         */
+        getLevelLaneRects() {
+            const width = this.spectrogramPlane.geometry.parameters.width;
+            return this.levelLanes.map(({ kind, y, height }) => ({ kind, ...this.getWorldRect(0, y, width, height) }));
+        }
+
+        /**
+         * 自上而下显示的所有平面：参考录音（并排视图时）、各声道通道，主平面在最下方（紧贴时间轴）
+         */
+        getPlanes() {
+            return [
+                ...(this.comparePlane && this.compareView === 'split' ? [this.comparePlane] : []),
+                ...this.channelPlanes,
+                {
+                    label: this.primaryLabel.textContent,
+                    mesh: this.spectrogramPlane,
+                    frames: this.spectrogramData,
+                    offset: 0,
+                    labelElement: this.primaryLabel
+                }
+            ];
+        }
+
+        /**
+         * 主平面之外所有带纹理的平面（包括差值/叠加视图中隐藏的参考平面）
+         */
+        getLanes() {
+            return this.comparePlane ? [...this.channelPlanes, this.comparePlane] : this.channelPlanes;
+        }
+
+        /**
+         * 在原平面的高度内等分堆叠所有平面，波形和响度带固定高度放在最下方，并对齐频率轴、图例和标签
+         */
+        layoutPlanes() {
+            const planes = this.getPlanes();
+            const total = this.spectrogramPlane.geometry.parameters.height;
+            const kinds = this.config.showLevelLanes ? ['waveform', 'loudness'] : [];
+            const laneSpace = kinds.length * (LEVEL_LANE_HEIGHT + CHANNEL_PLANE_GAP);
+            const height = (total - laneSpace - CHANNEL_PLANE_GAP * (planes.length - 1)) / planes.length;
+            
+            planes.forEach(({ mesh }, i) => {
+                mesh.scale.y = height / total;
+                mesh.position.y = total / 2 - height / 2 - i * (height + CHANNEL_PLANE_GAP);
+            });
+            
+            this.levelLanes = kinds.map((kind, i) => ({
+                kind,
+                y: -total / 2 + laneSpace - CHANNEL_PLANE_GAP - LEVEL_LANE_HEIGHT / 2 - i * (LEVEL_LANE_HEIGHT + CHANNEL_PLANE_GAP),
+                height: LEVEL_LANE_HEIGHT
+            }));
+            
+            this.updateFrequencyAxis();
+            this.updateColorLegend();
+            this.updatePlaneLabels();
+            this.timeAxisKey = '';
+        }
+
+        /**
+         * 平面标签放在各平面的左上角，只有一个平面时不显示
+         */
+        updatePlaneLabels() {
+            const planes = this.getPlanes();
+            const containerRect = this.canvas.parentElement.getBoundingClientRect();
+            
+            planes.forEach(({ mesh, labelElement }) => {
+                const rect = this.getMeshRect(mesh);
+                labelElement.style.left = `${rect.left - containerRect.left}px`;
+                labelElement.style.top = `${rect.top - containerRect.top}px`;
+                labelElement.classList.toggle('hidden', planes.length === 1 && !this.isCompareBlended());
+            });
+        }
+
+        /**
+         * 主平面标签：声道视图名称，对比时为当前文件名和视图说明
+         * 多于两个声道时主平面是全部声道的混合，不是 Mid
+         */
+        updatePrimaryLabel() {
+            let text = this.config.channelView === 'midSide' && this.getChannelCount() === 2 ? 'Mid' : 'Mix';
+            if (this.comparePlane) {
+                const name = this.channelPlanes.length > 0 ? `${this.fileName} · ${text}` : this.fileName;
+                text = {
+                    split: name,
+                    difference: `${name} − reference (warm: louder here, cool: louder in reference)`,
+                    overlay: `${name} (red) / reference (cyan)`
+                }[this.compareView];
+            }
+            this.primaryLabel.textContent = text;
+        }
+
+        /**
+         * 页面纵坐标是否落在显示中的平面上
+         */
+        isOverPlane(plane, clientY) {
+            if (!plane.mesh.visible) return false;
+            const rect = this.getMeshRect(plane.mesh);
+            return clientY >= rect.top && clientY <= rect.top + rect.height;
+        }
+
+        /**
+         * 主频轨迹：挂在主平面下的线段，坐标使用平面几何体的本地坐标
+         */
+        createPitchContour() {
+            const geometry = new THREE.BufferGeometry();
+            geometry.setAttribute('position', new THREE.BufferAttribute(new Float32Array(0), 3));
+            const material = new THREE.LineBasicMaterial({ color: 0x00ffd0, transparent: true, opacity: 0.9, depthTest: false });
+            this.pitchLine = new THREE.LineSegments(geometry, material);
+            this.pitchLine.renderOrder = 1;
+            this.pitchLine.visible = false;
+            this.spectrogramPlane.add(this.pitchLine);
+        }
+
+        /**
+         * 按可见范围重建主频轨迹：每个纹理列取置信度最高的估计，
+         * 低于阈值的列断开；纵坐标与频率轴一样按频带中心插值
+         */
+        updatePitchContour() {
+            const line = this.pitchLine;
+            line.visible = this.config.showPitch && this.pitchData.length > 0 && Boolean(this.bandCenters);
+            if (!line.visible) return;
+            
+            const { width, height } = this.spectrogramPlane.geometry.parameters;
+            const columns = this.config.spectrogramWidth;
+            const points = new Array(columns).fill(null);
+            for (let x = 0; x < columns; x++) {
+                const first = this.getFrameAt(x / columns).index;
+                const last = Math.max(first + 1, this.getFrameAt((x + 1) / columns).index);
+                for (let f = Math.max(0, first); f < last && f < this.pitchData.length; f++) {
+                    const pitch = this.pitchData[f];
+                    if (!pitch || pitch.salience < this.config.pitchThresholdDb) continue;
+                    if (!points[x] || pitch.salience > points[x].salience) points[x] = pitch;
+                }
+            }
+            
+            let attribute = line.geometry.getAttribute('position');
+            if (attribute.count < columns * 2) {
+                attribute = new THREE.BufferAttribute(new Float32Array(columns * 6), 3);
+                line.geometry.setAttribute('position', attribute);
+            }
+            
+            const toX = (x) => -width / 2 + (x + 0.5) / columns * width;
+            const toY = (hz) => -height / 2 + this.frequencyToFraction(hz) * height;
+            let count = 0;
+            for (let x = 1; x < columns; x++) {
+                if (!points[x - 1] || !points[x]) continue;
+                attribute.setXYZ(count++, toX(x - 1), toY(points[x - 1].frequency), 0.001);
+                attribute.setXYZ(count++, toX(x), toY(points[x].frequency), 0.001);
+            }
+            attribute.needsUpdate = true;
+            line.geometry.setDrawRange(0, count);
+        }
+
+        /**
+         * 创建平面标签元素
+         */
+        createPlaneLabel(text) {
+            const element = document.createElement('div');
+            element.className = 'plane-label hidden';
+            element.textContent = text;
+            this.canvas.parentElement.appendChild(element);
+            return element;
+        }
+
+        /**
+         * 平面上的水平位置 (0-1) 对应的数据帧和时间
+         * 文件模式为文件内的绝对时间，实时模式为相对最新一列的时间（负数）
+         */
+        getFrameAt(fraction) {
+            const secondsPerColumn = 1 / this.getColumnsPerSecond();
+            
+            if (this.mode === 'file') {
+                const frame = this.view.start + fraction * (this.view.end - this.view.start);
+                return { index: Math.floor(frame), time: frame * secondsPerColumn };
+            }
+            
+            // 距离最新一列右边缘的列数
+            const age = (1 - fraction) / this.config.scrollSpeed * this.config.spectrogramWidth;
+            return {
+                index: this.spectrogramData.length - 1 - Math.floor(age),
+                time: (this.liveFrameCount - age) * secondsPerColumn
+            };
+        }
+
+        /**
+         * 时间（秒）对应的平面水平位置 (0-1)，getFrameAt 的逆运算
+         */
+        timeToFraction(time) {
+            const frame = time * this.getColumnsPerSecond();
+            if (this.mode === 'file') {
+                return (frame - this.view.start) / (this.view.end - this.view.start);
+            }
+            return 1 - (this.liveFrameCount - frame) * this.config.scrollSpeed / this.config.spectrogramWidth;
+        }
+
+        /**
+         * 频率 (Hz) 对应的平面垂直位置 (0-1，自下而上)，在频带中心之间线性插值
+         */
+        frequencyToFraction(hz) {
+            const centers = this.bandCenters;
+            const n = centers.length;
+            if (hz <= centers[0]) return 0.5 / n;
+            if (hz >= centers[n - 1]) return (n - 0.5) / n;
+            
+            let lo = 0;
+            let hi = n - 1;
+            while (hi - lo > 1) {
+                const mid = (lo + hi) >> 1;
+                if (centers[mid] <= hz) lo = mid;
+                else hi = mid;
+            }
+            const t = (hz - centers[lo]) / (centers[hi] - centers[lo]);
+            return (lo + t + 0.5) / n;
+        }
+
+        /**
+         * 平面垂直位置 (0-1，自下而上) 对应的频率 (Hz)，frequencyToFraction 的逆运算
+         */
+        fractionToFrequency(fraction) {
+            const centers = this.bandCenters;
+            const n = centers.length;
+            const position = Math.max(0, Math.min(n - 1, fraction * n - 0.5));
+            const lo = Math.floor(position);
+            const hi = Math.min(n - 1, lo + 1);
+            return centers[lo] + (centers[hi] - centers[lo]) * (position - lo);
+        }
+
+        /**
+         * 页面横坐标对应的时间（秒），超出平面时截断到边缘
+         */
+        clientXToTime(clientX) {
+            const rect = this.getPlaneRect();
+            const fraction = Math.max(0, Math.min(1, (clientX - rect.left) / rect.width));
+            return this.getFrameAt(fraction).time;
+        }
+
+        /**
+         * 页面纵坐标对应的频率 (Hz)，超出平面时截断到边缘
+         */
+        clientYToFrequency(clientY) {
+            const rect = this.getPlaneRect();
+            const fraction = Math.max(0, Math.min(1, 1 - (clientY - rect.top) / rect.height));
+            return this.fractionToFrequency(fraction);
+        }
+
+        /**
+         * 时间（秒）对应的覆盖层横坐标
+         */
+        timeToOverlayX(time) {
+            const rect = this.getPlaneRect();
+            const canvasRect = this.canvas.getBoundingClientRect();
+            return rect.left - canvasRect.left + this.timeToFraction(time) * rect.width;
+        }
+
+        /**
+         * 频率 (Hz) 对应的覆盖层纵坐标
+         */
+        frequencyToOverlayY(hz) {
+            const rect = this.getPlaneRect();
+            const canvasRect = this.canvas.getBoundingClientRect();
+            return rect.top - canvasRect.top + (1 - this.frequencyToFraction(hz)) * rect.height;
+        }
+
+        /**
+         * 当前可见的时间范围（秒）
+         */
+        getVisibleTimeRange() {
+            return { start: this.getFrameAt(0).time, end: this.getFrameAt(1).time };
+        }
+
+        /**
+         * 鼠标位置对应的频谱单元：所在平面、时间、频带中心频率和电平
+         */
+        getCellAt(clientX, clientY) {
+            if (!this.bandCenters) return null;
+            
+            for (const plane of this.getPlanes()) {
+                const rect = this.getMeshRect(plane.mesh);
+                const fx = (clientX - rect.left) / rect.width;
+                const fy = 1 - (clientY - rect.top) / rect.height;
+                if (fx < 0 || fx > 1 || fy < 0 || fy > 1) continue;
+                
+                const nMels = this.bandCenters.length;
+                const band = Math.min(nMels - 1, Math.floor(fy * nMels));
+                const { index, time } = this.getFrameAt(fx);
+                
+                // 实时模式下各通道由各自的节点产生，按与最新一列的距离对齐；参考录音按偏移对齐
+                const frameAt = (lane) => lane.frames[this.mode === 'live'
+                    ? index - this.spectrogramData.length + lane.frames.length
+                    : index - Math.round(lane.offset * this.getColumnsPerSecond())];
+                const frame = frameAt(plane);
+                const compared = plane.mesh === this.spectrogramPlane && this.isCompareBlended();
+                const reference = compared ? frameAt(this.comparePlane) : null;
+                
+                return {
+                    rect,
+                    plane: this.getPlanes().length > 1 ? plane.label : null,
+                    time: time - plane.offset,
+                    band,
+                    frequency: this.bandCenters[band],
+                    level: frame ? frame[band] : null,
+                    compared,
+                    referenceLevel: reference ? reference[band] : null
+                };
+            }
+            return null;
+        }
+
+        /**
+         * 更新十字线和读数提示
+         */
+        drawOverlay() {
+            const ctx = this.overlayCtx;
+            const canvasRect = this.canvas.getBoundingClientRect();
+            ctx.clearRect(0, 0, canvasRect.width, canvasRect.height);
+            
+            // 覆盖层按 2D 平面的位置绘制，3D 视图中不显示
+            if (this.isWaterfallActive()) {
+                this.cursorReadout.classList.add('hidden');
+                return;
+            }
+            
+            this.drawLevelLanes(ctx, this.getLevelLaneRects().map(lane => ({
+                ...lane,
+                left: lane.left - canvasRect.left,
+                top: lane.top - canvasRect.top
+            })));
+            this.drawEventBoxes(ctx);
+            this.drawMatchBoxes(ctx);
+            this.drawAnnotations(ctx);
+            if (this.mode === 'file' && this.fileBuffer) {
+                this.drawTransportOverlay(ctx);
+            }
+            
+            const readout = this.cursorReadout;
+            const cell = this.pointer ? this.getCellAt(this.pointer.x, this.pointer.y) : null;
+            if (!cell) {
+                readout.classList.add('hidden');
+                return;
+            }
+            
+            // 十字线：横线只在鼠标所在的平面内，竖线贯穿所有平面
+            const rect = cell.rect;
+            const stack = this.getStackRect();
+            const x = this.pointer.x - canvasRect.left;
+            const y = this.pointer.y - canvasRect.top;
+            ctx.strokeStyle = 'rgba(255, 255, 255, 0.5)';
+            ctx.lineWidth = 1;
+            ctx.setLineDash([4, 4]);
+            ctx.beginPath();
+            ctx.moveTo(rect.left - canvasRect.left, y);
+            ctx.lineTo(rect.left - canvasRect.left + rect.width, y);
+            ctx.moveTo(x, stack.top - canvasRect.top);
+            ctx.lineTo(x, stack.top - canvasRect.top + stack.height);
+            ctx.stroke();
+            ctx.setLineDash([]);
+            
+            // 读数
+            const level = cell.level === null ? '—' : `${cell.level.toFixed(1)} dB`;
+            const lines = [
+                ...(cell.plane ? [cell.plane] : []),
+                `t  ${cell.time.toFixed(2)} s`,
+                `f  ${this.formatFrequency(cell.frequency)} (band ${cell.band})`,
+                `L  ${level}`
+            ];
+            if (cell.compared) {
+                lines.push(`R  ${cell.referenceLevel === null ? '—' : `${cell.referenceLevel.toFixed(1)} dB`}`);
+            }
+            readout.textContent = lines.join('\n');
+            readout.style.left = `${this.pointer.x + 14}px`;
+            readout.style.top = `${this.pointer.y + 14}px`;
+            readout.classList.remove('hidden');
+        }
+
+        /**
+         * 绘制波形带（每个像素列的最小/最大值）和响度带（峰值和 RMS，dBFS），削波处标红
+         * lanes 为 ctx 坐标下的 { kind, left, top, width, height }，scale 用于导出时放大文字
+         */
+        drawLevelLanes(ctx, lanes, scale = 1) {
+            if (lanes.length === 0) return;
+            
+            const columns = this.getEnvelopeColumns(Math.floor(lanes[0].width));
+            const toLevel = (value) => {
+                const db = value > 0 ? 20 * Math.log10(value) : LEVEL_LANE_FLOOR_DB;
+                return Math.max(0, Math.min(1, 1 - db / LEVEL_LANE_FLOOR_DB));
+            };
+            
+            ctx.save();
+            lanes.forEach(({ kind, left, top, width, height }) => {
+                ctx.fillStyle = 'rgba(255, 255, 255, 0.05)';
+                ctx.fillRect(left, top, width, height);
+                
+                const center = top + height / 2;
+                columns.forEach((column, x) => {
+                    if (!column) return;
+                    if (kind === 'waveform') {
+                        const y0 = center - column.max * height / 2;
+                        const y1 = center - column.min * height / 2;
+                        ctx.fillStyle = column.clipped ? '#ff4040' : 'rgba(120, 190, 255, 0.9)';
+                        ctx.fillRect(left + x, y0, 1, Math.max(1, y1 - y0));
+                    } else {
+                        const peak = toLevel(column.peak) * height;
+                        const rms = toLevel(column.rms) * height;
+                        ctx.fillStyle = 'rgba(80, 200, 120, 0.35)';
+                        ctx.fillRect(left + x, top + height - peak, 1, peak);
+                        ctx.fillStyle = 'rgba(80, 200, 120, 0.9)';
+                        ctx.fillRect(left + x, top + height - rms, 1, rms);
+                        if (column.clipped) {
+                            ctx.fillStyle = '#ff4040';
+                            ctx.fillRect(left + x, top, 1, 3 * scale);
+                        }
+                    }
+                });
+                
+                ctx.fillStyle = '#888';
+                ctx.font = `${Math.round(10 * scale)}px sans-serif`;
+                ctx.textBaseline = 'top';
+                ctx.textAlign = 'left';
+                ctx.fillText(kind === 'waveform' ? 'Wave' : `Level (${LEVEL_LANE_FLOOR_DB}…0 dBFS)`, left + 4 * scale, top + 2 * scale);
+            });
+            ctx.restore();
+        }
+
+        /**
+         * 把可见范围内的波形包络合并到 columns 个像素列，没有数据的列为 null
+         */
+        getEnvelopeColumns(columns) {
+            const data = this.envelopeData;
+            const result = new Array(columns).fill(null);
+            if (data.length === 0) return result;
+            
+            for (let x = 0; x < columns; x++) {
+                const first = this.getFrameAt(x / columns).index;
+                const last = Math.max(first + 1, this.getFrameAt((x + 1) / columns).index);
+                let merged = null;
+                let sumSquares = 0;
+                let count = 0;
+                for (let f = Math.max(0, first); f < last && f < data.length; f++) {
+                    const envelope = data[f];
+                    if (!envelope) continue;
+                    if (!merged) merged = { min: 0, max: 0, rms: 0, peak: 0, clipped: false };
+                    merged.min = Math.min(merged.min, envelope.min);
+                    merged.max = Math.max(merged.max, envelope.max);
+                    merged.peak = Math.max(merged.peak, envelope.peak);
+                    merged.clipped = merged.clipped || envelope.clipped;
+                    sumSquares += envelope.rms * envelope.rms;
+                    count++;
+                }
+                if (merged) merged.rms = Math.sqrt(sumSquares / count);
+                result[x] = merged;
+            }
+            return result;
+        }
+
+        /**
+         * 在覆盖层上绘制检测到的事件框
+         */
+        drawEventBoxes(ctx) {
+            if (this.events.length === 0 || !this.bandCenters) return;
+            
+            const rect = this.getPlaneRect();
+            const canvasRect = this.canvas.getBoundingClientRect();
+            const halfBand = rect.height / this.bandCenters.length / 2;
+            const { start, end } = this.getVisibleTimeRange();
+            
+            ctx.save();
+            ctx.beginPath();
+            ctx.rect(rect.left - canvasRect.left, rect.top - canvasRect.top, rect.width, rect.height);
+            ctx.clip();
+            ctx.lineWidth = 1.5;
+            
+            this.events.forEach((event) => {
+                if (event.end < start || event.start > end) return;
+                const x0 = this.timeToOverlayX(event.start);
+                const x1 = this.timeToOverlayX(event.end);
+                const y0 = this.frequencyToOverlayY(event.highFreq) - halfBand;
+                const y1 = this.frequencyToOverlayY(event.lowFreq) + halfBand;
+                ctx.strokeStyle = event === this.selectedEvent ? '#ffd24a' : 'rgba(80, 255, 160, 0.9)';
+                ctx.strokeRect(x0, y0, x1 - x0, y1 - y0);
+            });
+            
+            ctx.restore();
+        }
+
+        /**
+         * 在覆盖层上绘制相似片段（虚线框，左上角标出得分）
+         */
+        drawMatchBoxes(ctx) {
+            if (this.matches.length === 0 || !this.bandCenters) return;
+            
+            const rect = this.getPlaneRect();
+            const canvasRect = this.canvas.getBoundingClientRect();
+            const halfBand = rect.height / this.bandCenters.length / 2;
+            const { start, end } = this.getVisibleTimeRange();
+            
+            ctx.save();
+            ctx.beginPath();
+            ctx.rect(rect.left - canvasRect.left, rect.top - canvasRect.top, rect.width, rect.height);
+            ctx.clip();
+            ctx.lineWidth = 1.5;
+            ctx.setLineDash([5, 3]);
+            ctx.font = '11px sans-serif';
+            ctx.textBaseline = 'bottom';
+            
+            this.matches.forEach((match) => {
+                if (match.end < start || match.start > end) return;
+                const x0 = this.timeToOverlayX(match.start);
+                const x1 = this.timeToOverlayX(match.end);
+                const y0 = this.frequencyToOverlayY(match.highFreq) - halfBand;
+                const y1 = this.frequencyToOverlayY(match.lowFreq) + halfBand;
+                const color = match === this.selectedMatch ? '#ffd24a' : 'rgba(255, 150, 50, 0.95)';
+                
+                ctx.strokeStyle = color;
+                ctx.strokeRect(x0, y0, x1 - x0, y1 - y0);
+                ctx.fillStyle = color;
+                ctx.fillText(match.score.toFixed(2), x0 + 2, y0 - 2);
+            });
+            
+            ctx.restore();
+        }
+
+        /**
+         * 在覆盖层上绘制标注框和标签
+         */
+        drawAnnotations(ctx) {
+            const boxes = this.draftAnnotation ? [...this.annotations, this.draftAnnotation] : this.annotations;
+            if (boxes.length === 0 || !this.bandCenters) return;
+            
+            const rect = this.getPlaneRect();
+            const canvasRect = this.canvas.getBoundingClientRect();
+            const { start, end } = this.getVisibleTimeRange();
+            
+            ctx.save();
+            ctx.beginPath();
+            ctx.rect(rect.left - canvasRect.left, rect.top - canvasRect.top, rect.width, rect.height);
+            ctx.clip();
+            ctx.lineWidth = 1.5;
+            ctx.font = '11px sans-serif';
+            ctx.textBaseline = 'bottom';
+            
+            boxes.forEach((annotation) => {
+                if (annotation.end < start || annotation.start > end) return;
+                const x0 = this.timeToOverlayX(annotation.start);
+                const x1 = this.timeToOverlayX(annotation.end);
+                const y0 = this.frequencyToOverlayY(annotation.highFreq);
+                const y1 = this.frequencyToOverlayY(annotation.lowFreq);
+                const color = annotation === this.selectedAnnotation ? '#ffd24a' : '#ff6fd8';
+                
+                ctx.strokeStyle = color;
+                ctx.setLineDash(annotation === this.draftAnnotation ? [4, 3] : []);
+                ctx.strokeRect(x0, y0, x1 - x0, y1 - y0);
+                if (annotation.label) {
+                    ctx.fillStyle = color;
+                    ctx.fillText(annotation.label, x0 + 2, y0 - 2);
+                }
+            });
+            
+            ctx.restore();
+        }
+
+        /**
+         * 绘制循环区间和播放头，播放头移出视图时自动翻页
+         */
+        drawTransportOverlay(ctx) {
+            const rect = this.getStackRect();
+            const canvasRect = this.canvas.getBoundingClientRect();
+            const top = rect.top - canvasRect.top;
+            const left = rect.left - canvasRect.left;
+            
+            ctx.save();
+            ctx.beginPath();
+            ctx.rect(left, top, rect.width, rect.height);
+            ctx.clip();
+            
+            if (this.loopRegion) {
+                const x0 = this.timeToOverlayX(this.loopRegion.start);
+                const x1 = this.timeToOverlayX(this.loopRegion.end);
+                ctx.fillStyle = this.loopEnabled ? 'rgba(74, 144, 226, 0.2)' : 'rgba(255, 255, 255, 0.1)';
+                ctx.fillRect(x0, top, x1 - x0, rect.height);
+                ctx.strokeStyle = 'rgba(74, 144, 226, 0.8)';
+                ctx.strokeRect(x0, top, x1 - x0, rect.height);
+            }
+            
+            const time = this.getPlaybackTime();
+            if (this.state === 'playing') {
+                const frame = time * this.getColumnsPerSecond();
+                const span = this.view.end - this.view.start;
+                if (frame > this.view.end || frame < this.view.start) {
+                    this.setView(frame, frame + span);
+                }
+            }
+            
+            const x = this.timeToOverlayX(time);
+            ctx.strokeStyle = '#ffffff';
+            ctx.lineWidth = 2;
+            ctx.beginPath();
+            ctx.moveTo(x, top);
+            ctx.lineTo(x, top + rect.height);
+            ctx.stroke();
+            ctx.restore();
+        }
 
-    /**
-     * 窗口大小变化处理
-     */
-    onWindowResize() {
-        const aspect = window.innerWidth / window.innerHeight;
-        this.camera.left = -aspect;
-        this.camera.right = aspect;
-        this.camera.updateProjectionMatrix();
-        this.renderer.setSize(window.innerWidth, window.innerHeight);
+        /**
+         * 时间轴：刻度之间至少约 80px
+         */
+        updateTimeAxis() {
+            const axis = this.timeAxis;
+            if (!axis || !this.spectrogramPlane) return;
+            
+            const { start, end } = this.getVisibleTimeRange();
+            const rect = this.getStackRect();
+            const key = `${start.toFixed(3)}:${end.toFixed(3)}:${rect.left}:${rect.width}:${rect.top}:${rect.height}`;
+            if (key === this.timeAxisKey) return;
+            this.timeAxisKey = key;
+            
+            const containerRect = axis.parentElement.getBoundingClientRect();
+            axis.style.left = `${rect.left - containerRect.left}px`;
+            axis.style.top = `${rect.top - containerRect.top + rect.height}px`;
+            axis.style.width = `${rect.width}px`;
+            
+            axis.innerHTML = '';
+            this.getTimeTicks(start, end, Math.floor(rect.width / 80)).forEach(({ position, label }) => {
+                const element = document.createElement('div');
+                element.className = 'time-label';
+                element.style.left = `${position * 100}%`;
+                element.textContent = label;
+                axis.appendChild(element);
+            });
+        }
+
+        /**
+         * 时间轴刻度：选择不超过 maxTicks 个刻度的最小整齐间隔；position 为自左向右的比例 (0-1)
+         */
+        getTimeTicks(start, end, maxTicks) {
+            const span = end - start;
+            if (!(span > 0)) return [];
+            
+            const limit = Math.max(2, maxTicks);
+            const steps = [0.01, 0.02, 0.05, 0.1, 0.2, 0.5, 1, 2, 5, 10, 15, 30, 60, 120, 300, 600];
+            const step = steps.find(candidate => span / candidate <= limit) || steps[steps.length - 1];
+            const decimals = step < 0.1 ? 2 : (step < 1 ? 1 : 0);
+            
+            const ticks = [];
+            for (let i = Math.ceil(start / step - 1e-6); i * step <= end + step * 1e-6; i++) {
+                const t = i * step;
+                ticks.push({
+                    position: (t - start) / span,
+                    label: `${t.toFixed(decimals)}s`
+                });
+            }
+            return ticks;
+        }
+
+        /**
+         * 文件模式下的缩放和平移：滚轮缩放，拖动平移，双击复位
+         */
+        setupViewControls() {
+            let dragStartX = null;
+            let dragStartY = null;
+            let dragStartView = null;
+            let dragMode = null;        // 'pan' | 'loop'（Shift+拖动选择循环区间）| 'annotate' | 'align'（拖动参考录音）
+            let dragStartOffset = 0;
+            let moved = false;
+            
+            // 记录鼠标位置，读数在动画循环里刷新（实时模式下数据会在鼠标下滚动）
+            this.on(this.canvas, 'mousemove', (e) => {
+                this.pointer = { x: e.clientX, y: e.clientY };
+            });
+            this.on(this.canvas, 'mouseleave', () => {
+                this.pointer = null;
+            });
+            
+            this.on(this.canvas, 'wheel', (e) => {
+                if (this.mode !== 'file' || this.isWaterfallActive()) return;
+                e.preventDefault();
+                
+                const rect = this.getPlaneRect();
+                const fraction = Math.max(0, Math.min(1, (e.clientX - rect.left) / rect.width));
+                const { start, end } = this.view;
+                const anchor = start + fraction * (end - start);
+                const span = (end - start) * Math.exp(e.deltaY * 0.002);
+                
+                this.setView(anchor - fraction * span, anchor + (1 - fraction) * span);
+            }, { passive: false });
+            
+            this.on(this.canvas, 'mousedown', (e) => {
+                // 3D 瀑布图中拖动用于旋转视角（见 setupOrbitControls）
+                if (this.isWaterfallActive()) return;
+            
+                // 标注模式在实时和文件模式下都可用
+                if (this.annotating) {
+                    dragMode = 'annotate';
+                } else if (this.mode === 'file' && this.comparePlane && (e.altKey || this.isOverPlane(this.comparePlane, e.clientY))) {
+                    // 在参考平面上拖动（差值/叠加视图中 Alt+拖动）调整时间偏移
+                    dragMode = 'align';
+                    dragStartOffset = this.comparePlane.offset;
+                } else if (this.mode === 'file') {
+                    dragMode = e.shiftKey ? 'loop' : 'pan';
+                } else {
+                    return;
+                }
+                dragStartX = e.clientX;
+                dragStartY = e.clientY;
+                dragStartView = { ...this.view };
+                moved = false;
+            });
+            
+            this.on(window, 'mousemove', (e) => {
+                if (dragStartX === null) return;
+                if (Math.abs(e.clientX - dragStartX) > 3 || Math.abs(e.clientY - dragStartY) > 3) moved = true;
+                if (!moved) return;
+                
+                if (dragMode === 'annotate') {
+                    this.draftAnnotation = this.createAnnotationFromDrag(dragStartX, dragStartY, e.clientX, e.clientY);
+                    return;
+                }
+                
+                if (dragMode === 'align') {
+                    const rect = this.getPlaneRect();
+                    const seconds = (e.clientX - dragStartX) / rect.width * (this.view.end - this.view.start) / this.getColumnsPerSecond();
+                    this.setCompareOffset(dragStartOffset + seconds);
+                    return;
+                }
+                
+                if (dragMode === 'loop') {
+                    const a = this.clientXToTime(dragStartX);
+                    const b = this.clientXToTime(e.clientX);
+                    this.setLoopRegion({ start: Math.min(a, b), end: Math.max(a, b) });
+                    return;
+                }
+                
+                const rect = this.getPlaneRect();
+                const span = dragStartView.end - dragStartView.start;
+                const shift = (dragStartX - e.clientX) / rect.width * span;
+                this.setView(dragStartView.start + shift, dragStartView.end + shift);
+            });
+            
+            this.on(window, 'mouseup', (e) => {
+                if (dragStartX === null) return;
+                
+                if (dragMode === 'annotate') {
+                    // 拖动：新建标注；单击：选中鼠标下的标注
+                    if (moved) {
+                        this.addAnnotation(this.createAnnotationFromDrag(dragStartX, dragStartY, e.clientX, e.clientY));
+                    } else {
+                        this.selectAnnotationAt(e.clientX, e.clientY);
+                    }
+                    this.draftAnnotation = null;
+                } else if (!moved) {
+                    // 单击：跳转；Shift+单击：清除循环区间
+                    if (dragMode === 'loop') {
+                        this.setLoopRegion(null);
+                    } else {
+                        this.seek(this.clientXToTime(e.clientX));
+                    }
+                }
+                dragStartX = null;
+            });
+            
+            this.on(this.canvas, 'dblclick', () => {
+                if (this.mode !== 'file' || this.isWaterfallActive()) return;
+                this.setView(0, this.spectrogramData.length);
+            });
+            
+            this.setupOrbitControls();
+        }
+
+        /**
+         * 重新初始化音频分析器
+         */
+        reinitializeAudio() {
+            if (this.analyser) {
+                this.analyser.fftSize = this.config.fftSize;
+                this.analyser.smoothingTimeConstant = this.config.smoothing;
+                this.dataArray = new Float32Array(this.analyser.frequencyBinCount);
+            }
+            this.channelPlanes.forEach((lane) => {
+                if (!lane.analyser) return;
+                lane.analyser.fftSize = this.config.fftSize;
+                lane.analyser.smoothingTimeConstant = this.config.smoothing;
+                lane.dataArray = new Float32Array(lane.analyser.frequencyBinCount);
+            });
+        }
+
+        /**
+         * 创建主平面的频谱图纹理
+         */
+        createSpectrogramTextures() {
+            const { texture, columnTexture } = this.createBandTextures();
+            this.spectrogramTexture = texture;
+            this.columnTexture = columnTexture;
+            this.writeHead = 0;
+        }
+
+        /**
+         * 创建频谱图纹理（单通道 R16F 环形缓冲，直接存 dB 值）和用于单列上传的列纹理
+         */
+        createBandTextures() {
+            const width = this.config.spectrogramWidth;
+            const bands = this.config.melBands;
+            
+            const silence = THREE.DataUtils.toHalfFloat(SILENCE_DB);
+            const texture = new THREE.DataTexture(
+                new Uint16Array(width * bands).fill(silence),
+                width,
+                bands,
+                THREE.RedFormat,
+                THREE.HalfFloatType
+            );
+            texture.unpackAlignment = 2;
+            texture.wrapS = THREE.RepeatWrapping;
+            texture.minFilter = THREE.LinearFilter;
+            texture.magFilter = THREE.LinearFilter;
+            texture.needsUpdate = true;
+            
+            const columnTexture = new THREE.DataTexture(
+                new Uint16Array(bands),
+                1,
+                bands,
+                THREE.RedFormat,
+                THREE.HalfFloatType
+            );
+            columnTexture.unpackAlignment = 2;
+            
+            return { texture, columnTexture };
+        }
+
+        /**
+         * 重新创建纹理（各声道通道一起重建，保留通道本身和实时节点）
+         */
+        recreateTexture() {
+            this.spectrogramTexture.dispose();
+            this.columnTexture.dispose();
+            this.createSpectrogramTextures();
+            
+            this.spectrogramMaterial.uniforms.spectrogramTexture.value = this.spectrogramTexture;
+            this.spectrogramMaterial.uniforms.scrollOffset.value = 0;
+            
+            // 更新纹理尺寸
+            this.spectrogramMaterial.uniforms.textureSize.value = new THREE.Vector2(
+                this.config.spectrogramWidth, 
+                this.config.melBands
+            );
+            
+            this.spectrogramData = [];
+            this.envelopeData = [];
+            this.pitchData = [];
+            
+            this.getLanes().forEach((lane) => {
+                lane.texture.dispose();
+                lane.columnTexture.dispose();
+                Object.assign(lane, this.createBandTextures(), { frames: [], writeHead: 0 });
+                lane.material.uniforms.spectrogramTexture.value = lane.texture;
+                lane.material.uniforms.scrollOffset.value = 0;
+            });
+            this.spectrogramMaterial.uniforms.compareTexture.value = this.comparePlane ? this.comparePlane.texture : this.spectrogramTexture;
+            
+            // 瀑布图网格的分辨率跟随纹理
+            if (this.waterfallView) {
+                this.waterfallView.mesh.geometry.dispose();
+                this.waterfallView.mesh.geometry = this.createWaterfallGeometry();
+            }
+        }
+
+        /**
+         * 生成 256x1 的配色查找表纹理
+         */
+        createColormapTexture(name) {
+            const colormap = COLORMAPS[name] || COLORMAPS.artistic;
+            const data = new Uint8Array(256 * 4);
+            for (let i = 0; i < 256; i++) {
+                const [r, g, b] = colormap(i / 255);
+                data[i * 4] = Math.round(r * 255);
+                data[i * 4 + 1] = Math.round(g * 255);
+                data[i * 4 + 2] = Math.round(b * 255);
+                data[i * 4 + 3] = 255;
+            }
+            
+            const texture = new THREE.DataTexture(data, 256, 1, THREE.RGBAFormat);
+            texture.minFilter = THREE.LinearFilter;
+            texture.magFilter = THREE.LinearFilter;
+            texture.needsUpdate = true;
+            return texture;
+        }
+
+        /**
+         * 切换配色方案
+         */
+        setColormap(name) {
+            this.config.colormap = name;
+            
+            if (this.colormapTexture) this.colormapTexture.dispose();
+            this.colormapTexture = this.createColormapTexture(name);
+            
+            const uniforms = this.spectrogramMaterial.uniforms;
+            uniforms.colormapTexture.value = this.colormapTexture;
+            uniforms.useArtisticPalette.value = name === 'artistic' ? 1 : 0;
+            
+            this.updateColorLegend();
+        }
+
+        /**
+         * 绘制颜色条图例（上端为最大强度）
+         */
+        updateColorLegend() {
+            this.alignToPlane(this.colorLegend);
+            
+            const canvas = this.legendCanvas;
+            const ctx = canvas.getContext('2d');
+            const colormap = COLORMAPS[this.config.colormap] || COLORMAPS.artistic;
+            const image = ctx.createImageData(1, canvas.height);
+            for (let y = 0; y < canvas.height; y++) {
+                const [r, g, b] = colormap(1 - y / (canvas.height - 1));
+                image.data[y * 4] = r * 255;
+                image.data[y * 4 + 1] = g * 255;
+                image.data[y * 4 + 2] = b * 255;
+                image.data[y * 4 + 3] = 255;
+            }
+            for (let x = 0; x < canvas.width; x++) {
+                ctx.putImageData(image, x, 0);
+            }
+        }
+
+        /**
+         * 将覆盖层元素的垂直范围对齐到频谱图平面
+         */
+        alignToPlane(element) {
+            const rect = this.getPlaneRect();
+            const containerRect = element.parentElement.getBoundingClientRect();
+            element.style.top = `${rect.top - containerRect.top}px`;
+            element.style.height = `${rect.height}px`;
+        }
+
+        /**
+         * 应用滤波器组：输入每个频点的 dB 值，按功率加权求和后转换回 dB
+         */
+        applyFilterBank(fftDb) {
+            return applyFilterBank(this.filterBank, fftDb);
+        }
+
+        /**
+         * 一帧 dB 频谱的主频估计，搜索范围与滤波器组相同，轨迹不会超出频率轴
+         */
+        estimatePitch(spectrumDb) {
+            if (!this.filterBank) return null;
+            return estimatePeakFrequency(spectrumDb, this.getSampleRate(), this.filterBank.minFreq, this.filterBank.maxFreq);
+        }
+
+        /**
+         * 更新频谱图数据
+         */
+        updateSpectrogram() {
+            if (this.stftNode) return; // 由 worklet 按固定步长驱动
+            if (this.mode !== 'live' || !this.isRecording || !this.analyser) return;
+
+            // 获取频域数据 (dB)
+            this.analyser.getFloatFrequencyData(this.dataArray);
+            
+            // 谱减、频带滤波并追加一列
+            this.processSpectrum(this.dataArray);
+            this.pushLiveColumn(this.applyFilterBank(this.dataArray), this.estimatePitch(this.dataArray));
+            
+            this.channelPlanes.forEach((lane) => {
+                if (!lane.analyser) return;
+                lane.analyser.getFloatFrequencyData(lane.dataArray);
+                this.pushChannelColumn(lane, this.applyFilterBank(this.processSpectrum(lane.dataArray, false)));
+            });
+        }
+
+        /**
+         * 更新纹理数据：只把最新一列写到写入头位置并上传，由着色器负责滚动
+         */
+        updateTexture() {
+            if (!this.spectrogramTexture || this.spectrogramData.length === 0) return;
+
+            const latestData = this.spectrogramData[this.spectrogramData.length - 1];
+            this.uploadTextureColumn(this.spectrogramTexture, this.columnTexture, this.writeHead, latestData);
+            
+            const width = this.config.spectrogramWidth;
+            this.writeHead = (this.writeHead + 1) % width;
+            this.spectrogramMaterial.uniforms.scrollOffset.value = this.writeHead / width;
+        }
+
+        /**
+         * 写入纹理的第 x 列，经列纹理用 texSubImage2D 局部上传
+         */
+        uploadTextureColumn(texture, columnTexture, x, melData) {
+            this.writeTextureColumn(x, melData, texture);
+            
+            const width = this.config.spectrogramWidth;
+            const column = columnTexture.image.data;
+            const textureData = texture.image.data;
+            for (let y = 0; y < this.config.melBands; y++) {
+                column[y] = textureData[y * width + x];
+            }
+            this.renderer.copyTextureToTexture(new THREE.Vector2(x, 0), columnTexture, texture);
+        }
+
+        /**
+         * 将一列频带数据 (dB) 写入纹理的第 x 列（仅 CPU 端）
+         */
+        writeTextureColumn(x, melData, texture = this.spectrogramTexture) {
+            const textureData = texture.image.data;
+            const width = this.config.spectrogramWidth;
+            
+            for (let y = 0; y < this.config.melBands; y++) {
+                const db = Math.max(SILENCE_DB, melData[y] || SILENCE_DB);
+                textureData[y * width + x] = THREE.DataUtils.toHalfFloat(db);
+            }
+        }
+
+        /**
+         * 自动增益：上限跟随每帧峰值，峰值消失后按固定速度回落
+         */
+        trackAutoGain(melData) {
+            const now = performance.now();
+            const elapsed = this.lastAutoGainTime ? (now - this.lastAutoGainTime) / 1000 : 0;
+            this.lastAutoGainTime = now;
+            
+            let peak = SILENCE_DB;
+            for (let i = 0; i < melData.length; i++) {
+                if (melData[i] > peak) peak = melData[i];
+            }
+            this.autoCeilingDb = Math.max(peak, this.autoCeilingDb - AUTO_GAIN_RELEASE_DB * elapsed);
+        }
+
+        /**
+         * 当前显示的 dB 范围
+         */
+        getDisplayRange() {
+            const { floorDb, ceilingDb, autoGain } = this.config;
+            if (!autoGain) return { floorDb, ceilingDb };
+            
+            const range = ceilingDb - floorDb;
+            return { floorDb: this.autoCeilingDb - range, ceilingDb: this.autoCeilingDb };
+        }
+
+        /**
+         * 将显示范围同步到着色器和图例
+         */
+        updateLevelUniforms() {
+            const { floorDb, ceilingDb } = this.getDisplayRange();
+            const uniforms = this.spectrogramMaterial.uniforms;
+            uniforms.floorDb.value = floorDb;
+            uniforms.ceilingDb.value = ceilingDb;
+            
+            const maxLabel = `${Math.round(ceilingDb)} dB`;
+            const minLabel = `${Math.round(floorDb)} dB`;
+            if (this.legendMax.textContent !== maxLabel) this.legendMax.textContent = maxLabel;
+            if (this.legendMin.textContent !== minLabel) this.legendMin.textContent = minLabel;
+        }
+
+        /**
+         * 按当前参数重新创建检测器；文件模式下对整个文件重新检测
+         */
+        detectEvents() {
+            if (!this.bandCenters) return;
+            
+            if (this.mode !== 'file') {
+                // 实时模式：新参数只作用于之后的数据，已有事件保留
+                if (this.state !== 'live') this.events = [];
+                this.eventDetector = this.createEventDetector();
+                this.renderEventList();
+                return;
+            }
+            
+            const detector = this.createEventDetector();
+            this.events = [];
+            this.spectrogramData.forEach((frame, i) => {
+                const event = detector.process(frame, i);
+                if (event) this.events.push(event);
+            });
+            const last = detector.flush();
+            if (last) this.events.push(last);
+            
+            this.eventDetector = null;
+            this.selectedEvent = null;
+            this.renderEventList();
+            console.log(`🐦 Detected ${this.events.length} events`);
+        }
+
+        /**
+         * 按当前检测参数和频带划分创建事件检测器
+         */
+        createEventDetector() {
+            return new EventDetector({
+                bandCenters: this.bandCenters,
+                minFreq: this.config.detectMinFreq,
+                maxFreq: this.config.detectMaxFreq,
+                thresholdDb: this.config.detectThresholdDb,
+                minDuration: this.config.detectMinDuration,
+                secondsPerFrame: 1 / this.getColumnsPerSecond()
+            });
+        }
+
+        /**
+         * 实时模式追加一个事件
+         */
+        addEvent(event) {
+            this.events.push(event);
+            this.renderEventList();
+        }
+
+        /**
+         * 刷新事件列表
+         */
+        renderEventList() {
+            const list = this.element('eventList');
+            if (!list) return;
+            this.element('eventCount').textContent = this.events.length;
+            list.innerHTML = '';
+            
+            this.events.forEach((event) => {
+                const item = document.createElement('li');
+                item.className = event === this.selectedEvent ? 'selected' : '';
+                item.textContent = `${event.start.toFixed(2)}–${event.end.toFixed(2)}s · `
+                    + `${this.formatFrequency(event.peakFreq)} · ${event.peakDb.toFixed(1)} dB`;
+                item.addEventListener('click', () => this.jumpToEvent(event));
+                list.appendChild(item);
+            });
+        }
+
+        /**
+         * 跳转到事件：文件模式下把事件移到视图中央并把播放位置设到事件开头
+         */
+        jumpToEvent(event) {
+            this.selectedEvent = event;
+            this.renderEventList();
+            if (this.mode !== 'file') return;
+            
+            const columnsPerSecond = this.getColumnsPerSecond();
+            const span = Math.max(this.view.end - this.view.start, (event.end - event.start) * columnsPerSecond * 3);
+            const center = (event.start + event.end) / 2 * columnsPerSecond;
+            this.setView(center - span / 2, center + span / 2);
+            this.seek(event.start);
+        }
+
+        /**
+         * 由拖动的两个角点生成标注（尚未加入列表）
+         */
+        createAnnotationFromDrag(x0, y0, x1, y1) {
+            // 实时模式刚开始时平面左侧还没有数据，时间可能为负
+            const t0 = Math.max(0, this.clientXToTime(x0));
+            const t1 = Math.max(0, this.clientXToTime(x1));
+            const f0 = this.clientYToFrequency(y0);
+            const f1 = this.clientYToFrequency(y1);
+            return {
+                start: Math.min(t0, t1),
+                end: Math.max(t0, t1),
+                lowFreq: Math.min(f0, f1),
+                highFreq: Math.max(f0, f1),
+                label: '',
+                note: ''
+            };
+        }
+
+        /**
+         * 加入一个标注并选中，方便立即填写标签
+         */
+        addAnnotation(annotation) {
+            annotation.id = this.nextAnnotationId++;
+            this.annotations.push(annotation);
+            this.annotations.sort((a, b) => a.start - b.start);
+            this.selectedAnnotation = annotation;
+            this.renderAnnotationList();
+            
+            const input = this.container.querySelector(`#annotationList li[data-id="${annotation.id}"] .annotation-label`);
+            if (input) input.focus();
+        }
+
+        /**
+         * 选中鼠标下最小的标注框，空白处单击取消选中
+         */
+        selectAnnotationAt(clientX, clientY) {
+            const time = this.clientXToTime(clientX);
+            const frequency = this.clientYToFrequency(clientY);
+            const hits = this.annotations.filter(a => time >= a.start && time <= a.end
+                && frequency >= a.lowFreq && frequency <= a.highFreq);
+            hits.sort((a, b) => (a.end - a.start) - (b.end - b.start));
+            
+            this.selectedAnnotation = hits[0] || null;
+            this.renderAnnotationList();
+        }
+
+        /**
+         * 删除标注
+         */
+        deleteAnnotation(annotation) {
+            this.annotations = this.annotations.filter(a => a !== annotation);
+            if (this.selectedAnnotation === annotation) this.selectedAnnotation = null;
+            this.renderAnnotationList();
+        }
+
+        /**
+         * 清空标注（切换录音或文件时）
+         */
+        clearAnnotations() {
+            this.annotations = [];
+            this.selectedAnnotation = null;
+            this.draftAnnotation = null;
+            this.renderAnnotationList();
+        }
+
+        /**
+         * 刷新标注列表：标签和备注可直接编辑
+         */
+        renderAnnotationList() {
+            const list = this.element('annotationList');
+            if (!list) return;
+            this.element('annotationCount').textContent = this.annotations.length;
+            list.innerHTML = '';
+            
+            this.annotations.forEach((annotation) => {
+                const item = document.createElement('li');
+                item.dataset.id = annotation.id;
+                item.className = annotation === this.selectedAnnotation ? 'selected' : '';
+                
+                const summary = document.createElement('div');
+                summary.className = 'annotation-summary';
+                summary.textContent = `${annotation.start.toFixed(2)}–${annotation.end.toFixed(2)}s · `
+                    + `${this.formatFrequency(annotation.lowFreq)}–${this.formatFrequency(annotation.highFreq)}`;
+                summary.addEventListener('click', () => this.jumpToAnnotation(annotation));
+                
+                const label = document.createElement('input');
+                label.className = 'annotation-label';
+                label.placeholder = 'label';
+                label.value = annotation.label;
+                label.addEventListener('input', () => { annotation.label = label.value; });
+                
+                const note = document.createElement('input');
+                note.className = 'annotation-note';
+                note.placeholder = 'note';
+                note.value = annotation.note;
+                note.addEventListener('input', () => { annotation.note = note.value; });
+                
+                const remove = document.createElement('button');
+                remove.className = 'annotation-delete';
+                remove.textContent = '✕';
+                remove.addEventListener('click', () => this.deleteAnnotation(annotation));
+                
+                item.append(summary, label, note, remove);
+                list.appendChild(item);
+            });
+        }
+
+        /**
+         * 跳转到标注（文件模式）
+         */
+        jumpToAnnotation(annotation) {
+            this.selectedAnnotation = annotation;
+            this.renderAnnotationList();
+            if (this.mode !== 'file') return;
+            
+            const columnsPerSecond = this.getColumnsPerSecond();
+            const span = Math.max(this.view.end - this.view.start, (annotation.end - annotation.start) * columnsPerSecond * 3);
+            const center = (annotation.start + annotation.end) / 2 * columnsPerSecond;
+            this.setView(center - span / 2, center + span / 2);
+            this.seek(annotation.start);
+        }
+
+        /**
+         * 频率 (Hz) 所在的频带序号
+         */
+        frequencyToBand(hz) {
+            const n = this.bandCenters.length;
+            return Math.max(0, Math.min(n - 1, Math.round(this.frequencyToFraction(hz) * n - 0.5)));
+        }
+
+        /**
+         * 以选中的标注框为模板，在整个文件的频带频谱中用归一化互相关搜索相似片段；
+         * 分批计算并让出主线程，重新搜索或清除时取消进行中的搜索
+         */
+        async findSimilar() {
+            const annotation = this.selectedAnnotation;
+            if (this.mode !== 'file' || !annotation || this.spectrogramData.length === 0) {
+                this.reportError('Template search needs a selected annotation', null, '请先在文件模式下选中一个标注框作为模板');
+                return;
+            }
+            
+            const frames = this.spectrogramData;
+            const columnsPerSecond = this.getColumnsPerSecond();
+            const startFrame = Math.max(0, Math.min(frames.length - 2, Math.round(annotation.start * columnsPerSecond)));
+            const endFrame = Math.max(startFrame + 2, Math.min(frames.length, Math.round(annotation.end * columnsPerSecond)));
+            // 没有控制面板时使用默认值：不开容差、最低得分 MATCH_MIN_SCORE
+            const toleranceControl = this.element('matchTolerance');
+            const tolerant = toleranceControl ? toleranceControl.checked : false;
+            const template = createTemplate(frames, {
+                startFrame,
+                endFrame,
+                lowBand: this.frequencyToBand(annotation.lowFreq),
+                highBand: this.frequencyToBand(annotation.highFreq),
+                floorDb: this.config.floorDb,
+                stretches: tolerant ? MATCH_STRETCHES : [1],
+                maxShift: tolerant ? MATCH_MAX_SHIFT_BANDS : 0
+            });
+            if (template.variants.length === 0) {
+                this.reportError('Template region has no signal', null, '模板区域内没有可用的信号，请选择包含鸣叫的标注框');
+                return;
+            }
+            
+            const token = ++this.matchToken;
+            const loading = this.element('loading');
+            loading.classList.remove('hidden');
+            
+            try {
+                const scores = new Float32Array(frames.length);
+                const best = new Int16Array(frames.length);
+                for (let from = 0; from < frames.length; from += MATCH_CHUNK_FRAMES) {
+                    const to = Math.min(frames.length, from + MATCH_CHUNK_FRAMES);
+                    const chunk = scoreTemplate(frames, template, from, to);
+                    scores.set(chunk.scores, from);
+                    best.set(chunk.best, from);
+                    
+                    // 分批让出主线程，避免界面卡死
+                    await new Promise(resolve => setTimeout(resolve, 0));
+                    if (token !== this.matchToken || frames !== this.spectrogramData) return;
+                }
+                
+                const minScoreControl = this.element('matchMinScore');
+                const minScore = minScoreControl ? parseFloat(minScoreControl.value) || 0 : MATCH_MIN_SCORE;
+                this.matches = findMatches(scores, best, template, { minScore }).map(({ position, score, variant }) => ({
+                    start: position / columnsPerSecond,
+                    end: (position + variant.length) / columnsPerSecond,
+                    lowFreq: this.bandCenters[variant.lowBand],
+                    highFreq: this.bandCenters[variant.lowBand + variant.bands - 1],
+                    score
+                }));
+                this.selectedMatch = null;
+                this.renderMatchList();
+                console.log(`🔎 Found ${this.matches.length} matches for ${annotation.start.toFixed(2)}–${annotation.end.toFixed(2)}s`);
+            } finally {
+                if (token === this.matchToken) loading.classList.add('hidden');
+            }
+        }
+
+        /**
+         * 清空相似片段，并取消进行中的搜索
+         */
+        clearMatches() {
+            this.matchToken++;
+            this.matches = [];
+            this.selectedMatch = null;
+            this.renderMatchList();
+        }
+
+        /**
+         * 刷新相似片段列表（按得分从高到低）
+         */
+        renderMatchList() {
+            const list = this.element('matchList');
+            if (!list) return;
+            this.element('matchCount').textContent = this.matches.length;
+            list.innerHTML = '';
+            
+            this.matches.forEach((match) => {
+                const item = document.createElement('li');
+                item.className = match === this.selectedMatch ? 'selected' : '';
+                item.textContent = `${match.start.toFixed(2)}–${match.end.toFixed(2)}s · `
+                    + `${this.formatFrequency(match.lowFreq)}–${this.formatFrequency(match.highFreq)} · ${match.score.toFixed(2)}`;
+                item.addEventListener('click', () => this.jumpToMatch(match));
+                list.appendChild(item);
+            });
+        }
+
+        /**
+         * 跳转到相似片段（同 jumpToEvent）
+         */
+        jumpToMatch(match) {
+            this.selectedMatch = match;
+            this.renderMatchList();
+            if (this.mode !== 'file') return;
+            
+            const columnsPerSecond = this.getColumnsPerSecond();
+            const span = Math.max(this.view.end - this.view.start, (match.end - match.start) * columnsPerSecond * 3);
+            const center = (match.start + match.end) / 2 * columnsPerSecond;
+            this.setView(center - span / 2, center + span / 2);
+            this.seek(match.start);
+        }
+
+        /**
+         * 导出 Raven Pro 选择表（制表符分隔）
+         */
+        exportRavenTable() {
+            const header = ['Selection', 'View', 'Channel', 'Begin Time (s)', 'End Time (s)',
+                'Low Freq (Hz)', 'High Freq (Hz)', 'Annotation', 'Note'];
+            // 制表符和换行会破坏表格结构，替换为空格
+            const clean = (text) => text.replace(/[\t\r\n]+/g, ' ');
+            const rows = this.annotations.map((a, i) => [
+                i + 1, 'Spectrogram 1', 1,
+                a.start.toFixed(6), a.end.toFixed(6),
+                a.lowFreq.toFixed(3), a.highFreq.toFixed(3),
+                clean(a.label), clean(a.note)
+            ].join('\t'));
+            
+            const text = [header.join('\t'), ...rows].join('\n') + '\n';
+            this.downloadBlob(new Blob([text], { type: 'text/plain' }), `${this.getExportBaseName()}.Table.1.selections.txt`);
+        }
+
+        /**
+         * 导出 JSON
+         */
+        exportAnnotationsJson() {
+            const data = {
+                source: this.fileName,
+                annotations: this.annotations.map(({ start, end, lowFreq, highFreq, label, note }) => (
+                    { start, end, lowFreq, highFreq, label, note }
+                ))
+            };
+            const blob = new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' });
+            this.downloadBlob(blob, `${this.getExportBaseName()}.annotations.json`);
+        }
+
+        /**
+         * 导入 Raven 选择表或 JSON，追加到现有标注
+         */
+        async importAnnotations(file) {
+            try {
+                const text = await file.text();
+                const imported = /^\s*[[{]/.test(text) ? this.parseAnnotationsJson(text) : this.parseRavenTable(text);
+                
+                imported.forEach((annotation) => {
+                    annotation.id = this.nextAnnotationId++;
+                    this.annotations.push(annotation);
+                });
+                this.annotations.sort((a, b) => a.start - b.start);
+                this.renderAnnotationList();
+                console.log(`📥 Imported ${imported.length} annotations from ${file.name}`);
+            } catch (error) {
+                this.reportError('Annotation import failed', error, '标注文件导入失败');
+            }
+        }
+
+        /**
+         * 解析 JSON：{ annotations: [...] } 或直接是数组
+         */
+        parseAnnotationsJson(text) {
+            const data = JSON.parse(text);
+            const items = Array.isArray(data) ? data : data.annotations;
+            if (!Array.isArray(items)) throw new Error('No annotations array found');
+            
+            return items.map(item => this.normalizeAnnotation(item));
+        }
+
+        /**
+         * 解析 Raven 选择表：按表头定位列，同一 Selection 的多个 View 只保留一行
+         */
+        parseRavenTable(text) {
+            const lines = text.split(/\r?\n/).filter(line => line.trim());
+            const header = lines.shift().split('\t').map(name => name.trim());
+            const column = (...names) => header.findIndex(name => names.includes(name));
+            
+            const columns = {
+                selection: column('Selection'),
+                start: column('Begin Time (s)'),
+                end: column('End Time (s)'),
+                lowFreq: column('Low Freq (Hz)'),
+                highFreq: column('High Freq (Hz)'),
+                label: column('Annotation', 'Label', 'Species'),
+                note: column('Note', 'Notes', 'Comments')
+            };
+            if (columns.start < 0 || columns.end < 0) throw new Error('Missing Begin/End Time columns');
+            
+            const seen = new Set();
+            const annotations = [];
+            lines.forEach((line) => {
+                const cells = line.split('\t');
+                const selection = columns.selection >= 0 ? cells[columns.selection] : null;
+                if (selection !== null && seen.has(selection)) return;
+                if (selection !== null) seen.add(selection);
+                
+                annotations.push(this.normalizeAnnotation({
+                    start: cells[columns.start],
+                    end: cells[columns.end],
+                    lowFreq: columns.lowFreq >= 0 ? cells[columns.lowFreq] : undefined,
+                    highFreq: columns.highFreq >= 0 ? cells[columns.highFreq] : undefined,
+                    label: columns.label >= 0 ? cells[columns.label] : '',
+                    note: columns.note >= 0 ? cells[columns.note] : ''
+                }));
+            });
+            return annotations;
+        }
+
+        /**
+         * 统一字段类型；缺少频率范围时使用整个显示范围
+         */
+        normalizeAnnotation(item) {
+            const start = parseFloat(item.start);
+            const end = parseFloat(item.end);
+            if (!Number.isFinite(start) || !Number.isFinite(end)) throw new Error('Invalid annotation time');
+            
+            const lowFreq = parseFloat(item.lowFreq);
+            const highFreq = parseFloat(item.highFreq);
+            return {
+                start: Math.min(start, end),
+                end: Math.max(start, end),
+                lowFreq: Number.isFinite(lowFreq) ? lowFreq : this.config.minFreq,
+                highFreq: Number.isFinite(highFreq) ? highFreq : this.config.maxFreq,
+                label: String(item.label || '').trim(),
+                note: String(item.note || '').trim()
+            };
+        }
+
+        /**
+         * spectrogramData 每一行对应的时间（秒）
+         * 文件模式从文件开头算起，实时模式从本次录音开始算起
+         */
+        getFrameTimestamps() {
+            const secondsPerColumn = 1 / this.getColumnsPerSecond();
+            const first = this.mode === 'file' ? 0 : this.liveFrameCount - this.spectrogramData.length;
+            return this.spectrogramData.map((_, i) => (first + i) * secondsPerColumn);
+        }
+
+        /**
+         * 导出文件名前缀
+         */
+        getExportBaseName() {
+            if (this.fileName) return this.fileName.replace(/\.[^.]+$/, '');
+            return `live-${new Date().toISOString().replace(/[:.]/g, '-')}`;
+        }
+
+        /**
+         * 触发浏览器下载
+         */
+        downloadBlob(blob, filename) {
+            const url = URL.createObjectURL(blob);
+            const link = document.createElement('a');
+            link.href = url;
+            link.download = filename;
+            link.click();
+            setTimeout(() => URL.revokeObjectURL(url), 1000);
+        }
+
+        /**
+         * 按指定分辨率导出 PNG：当前视图 + 频率轴、时间轴和颜色条
+         */
+        exportPng(width, height) {
+            const scale = height / 1080;
+            const margin = {
+                left: Math.round(110 * scale),
+                right: Math.round(110 * scale),
+                top: Math.round(30 * scale),
+                bottom: Math.round(70 * scale)
+            };
+            const plotWidth = width - margin.left - margin.right;
+            const plotHeight = height - margin.top - margin.bottom;
+            
+            // 用恰好框住平面的正交相机渲染到离屏目标
+            const plane = this.spectrogramPlane.geometry.parameters;
+            const camera = new THREE.OrthographicCamera(
+                -plane.width / 2, plane.width / 2, plane.height / 2, -plane.height / 2, 0.1, 1000
+            );
+            camera.position.z = 1;
+            const target = new THREE.WebGLRenderTarget(plotWidth, plotHeight);
+            const pixels = new Uint8Array(plotWidth * plotHeight * 4);
+            this.renderer.setRenderTarget(target);
+            this.renderer.render(this.scene, camera);
+            this.renderer.readRenderTargetPixels(target, 0, 0, plotWidth, plotHeight, pixels);
+            this.renderer.setRenderTarget(null);
+            target.dispose();
+            
+            const canvas = document.createElement('canvas');
+            canvas.width = width;
+            canvas.height = height;
+            const ctx = canvas.getContext('2d');
+            ctx.fillStyle = '#000';
+            ctx.fillRect(0, 0, width, height);
+            
+            // WebGL 像素行自下而上，翻转后写入
+            const image = ctx.createImageData(plotWidth, plotHeight);
+            const rowBytes = plotWidth * 4;
+            for (let y = 0; y < plotHeight; y++) {
+                const src = (plotHeight - 1 - y) * rowBytes;
+                image.data.set(pixels.subarray(src, src + rowBytes), y * rowBytes);
+            }
+            ctx.putImageData(image, margin.left, margin.top);
+            
+            // 波形和响度带（覆盖层内容，不在 WebGL 渲染结果里）
+            this.drawLevelLanes(ctx, this.levelLanes.map(({ kind, y, height: laneHeight }) => ({
+                kind,
+                left: margin.left,
+                top: margin.top + (plane.height / 2 - y - laneHeight / 2) / plane.height * plotHeight,
+                width: plotWidth,
+                height: laneHeight / plane.height * plotHeight
+            })), scale);
+            
+            ctx.fillStyle = '#ccc';
+            ctx.strokeStyle = '#888';
+            ctx.lineWidth = Math.max(1, scale);
+            ctx.font = `${Math.round(16 * scale)}px sans-serif`;
+            const tick = 6 * scale;
+            
+            // 频率轴（右侧），多个平面堆叠时每个平面各一组刻度，并在左上角标出声道
+            const planes = this.getPlanes();
+            planes.forEach(({ mesh, label: planeLabel }) => {
+                const planeTop = margin.top + (plane.height / 2 - mesh.position.y - plane.height * mesh.scale.y / 2) / plane.height * plotHeight;
+                const planeHeight = mesh.scale.y * plotHeight;
+                
+                ctx.textAlign = 'left';
+                ctx.textBaseline = 'middle';
+                this.getFrequencyTicks(Math.floor(planeHeight / (60 * scale))).forEach(({ position, label }) => {
+                    const y = planeTop + (1 - position) * planeHeight;
+                    const x = margin.left + plotWidth;
+                    ctx.beginPath();
+                    ctx.moveTo(x, y);
+                    ctx.lineTo(x + tick, y);
+                    ctx.stroke();
+                    ctx.fillText(label, x + tick * 2, y);
+                });
+                
+                if (planes.length > 1) {
+                    ctx.textBaseline = 'top';
+                    ctx.fillText(planeLabel, margin.left + tick, planeTop + tick);
+                }
+            });
+            
+            // 时间轴（下方）
+            const { start, end } = this.getVisibleTimeRange();
+            ctx.textAlign = 'center';
+            ctx.textBaseline = 'top';
+            this.getTimeTicks(start, end, Math.floor(plotWidth / (100 * scale))).forEach(({ position, label }) => {
+                const x = margin.left + position * plotWidth;
+                const y = margin.top + plotHeight;
+                ctx.beginPath();
+                ctx.moveTo(x, y);
+                ctx.lineTo(x, y + tick);
+                ctx.stroke();
+                ctx.fillText(label, x, y + tick * 2);
+            });
+            
+            // 颜色条（左侧）
+            const colormap = COLORMAPS[this.config.colormap] || COLORMAPS.artistic;
+            const barWidth = Math.round(16 * scale);
+            const barX = Math.round(24 * scale);
+            for (let y = 0; y < plotHeight; y++) {
+                const [r, g, b] = colormap(1 - y / (plotHeight - 1));
+                ctx.fillStyle = `rgb(${r * 255}, ${g * 255}, ${b * 255})`;
+                ctx.fillRect(barX, margin.top + y, barWidth, 1);
+            }
+            const { floorDb, ceilingDb } = this.getDisplayRange();
+            ctx.fillStyle = '#ccc';
+            ctx.textAlign = 'left';
+            ctx.textBaseline = 'top';
+            ctx.fillText(`${Math.round(ceilingDb)} dB`, barX + barWidth + 4 * scale, margin.top);
+            ctx.textBaseline = 'bottom';
+            ctx.fillText(`${Math.round(floorDb)} dB`, barX + barWidth + 4 * scale, margin.top + plotHeight);
+            
+            canvas.toBlob((blob) => this.downloadBlob(blob, `${this.getExportBaseName()}.png`), 'image/png');
+            console.log(`💾 PNG exported: ${width}x${height}`);
+        }
+
+        /**
+         * 导出 CSV：首行为频带中心频率 (Hz)，首列为时间 (s)，其余为电平 (dB)
+         */
+        exportCsv() {
+            if (this.spectrogramData.length === 0) return;
+            
+            const timestamps = this.getFrameTimestamps();
+            const rows = [`time_s,${this.bandCenters.map(f => f.toFixed(1)).join(',')}\n`];
+            this.spectrogramData.forEach((frame, i) => {
+                rows.push(`${timestamps[i].toFixed(4)},${Array.from(frame, v => v.toFixed(2)).join(',')}\n`);
+            });
+            
+            this.downloadBlob(new Blob(rows, { type: 'text/csv' }), `${this.getExportBaseName()}.csv`);
+            console.log(`💾 CSV exported: ${this.spectrogramData.length} frames`);
+        }
+
+        /**
+         * 导出主频轨迹 CSV：只包含置信度达到阈值的帧
+         */
+        exportPitchCsv() {
+            if (this.pitchData.length === 0) return;
+            
+            const timestamps = this.getFrameTimestamps();
+            const rows = ['time_s,frequency_hz,salience_db\n'];
+            this.pitchData.forEach((pitch, i) => {
+                if (!pitch || pitch.salience < this.config.pitchThresholdDb) return;
+                rows.push(`${timestamps[i].toFixed(4)},${pitch.frequency.toFixed(1)},${pitch.salience.toFixed(1)}\n`);
+            });
+            
+            this.downloadBlob(new Blob(rows, { type: 'text/csv' }), `${this.getExportBaseName()}-pitch.csv`);
+            console.log(`💾 Pitch CSV exported: ${rows.length - 1} voiced frames`);
+        }
+
+        /**
+         * 导出 NumPy .npy（float32，形状 (帧数 + 1, 频带数 + 1)）
+         * 布局与 CSV 相同：[0, 1:] 为频带中心频率，[1:, 0] 为时间，[0, 0] 为 NaN
+         */
+        exportNpy() {
+            if (this.spectrogramData.length === 0) return;
+            
+            const rows = this.spectrogramData.length + 1;
+            const cols = this.config.melBands + 1;
+            const values = new Float32Array(rows * cols);
+            values[0] = NaN;
+            values.set(this.bandCenters, 1);
+            
+            const timestamps = this.getFrameTimestamps();
+            this.spectrogramData.forEach((frame, i) => {
+                values[(i + 1) * cols] = timestamps[i];
+                values.set(frame, (i + 1) * cols + 1);
+            });
+            
+            // NPY 1.0 头部：魔数 + 版本 + 头长度 + 用空格补齐到 64 字节对齐的字典
+            let header = `{'descr': '<f4', 'fortran_order': False, 'shape': (${rows}, ${cols}), }`;
+            header += ' '.repeat(63 - (10 + header.length) % 64) + '\n';
+            const prefix = new Uint8Array(10 + header.length);
+            prefix.set([0x93, 0x4e, 0x55, 0x4d, 0x50, 0x59, 1, 0]); // \x93NUMPY v1.0
+            new DataView(prefix.buffer).setUint16(8, header.length, true);
+            for (let i = 0; i < header.length; i++) {
+                prefix[10 + i] = header.charCodeAt(i);
+            }
+            
+            const blob = new Blob([prefix, values.buffer], { type: 'application/octet-stream' });
+            this.downloadBlob(blob, `${this.getExportBaseName()}.npy`);
+            console.log(`💾 NPY exported: ${rows}x${cols}`);
+        }
+
+        /**
+         * 动画循环
+         */
+        animate() {
+            if (this.destroyed) return;
+            this.animationFrame = requestAnimationFrame(() => this.animate());
+            
+            const time = Date.now() * 0.001;
+
+            // 更新频谱图
+            this.updateSpectrogram();
+
+            // 更新着色器时间和显示范围
+            if (this.spectrogramMaterial) {
+                this.spectrogramMaterial.uniforms.time.value = time;
+                this.spectrogramMaterial.uniforms.viewScale.value = this.mode === 'live' ? this.config.scrollSpeed : 1;
+                this.updateLevelUniforms();
+            }
+
+            // 覆盖层、时间轴、主频轨迹和输入电平
+            this.drawOverlay();
+            this.updatePitchContour();
+            this.updateTimeAxis();
+            if (this.inputMeter) this.updateInputMeter();
+
+            // 3D 瀑布图（包括切换动画）使用独立的场景和透视相机
+            if (this.updateWaterfall(time)) {
+                this.renderer.render(this.waterfallView.scene, this.waterfallView.camera);
+            } else {
+                this.renderer.render(this.scene, this.camera);
+            }
+        }
+
+        /**
+         * 容器大小变化处理
+         */
+        onResize() {
+            const viewport = this.getViewportSize();
+            const aspect = viewport.width / viewport.height;
+            this.camera.left = -aspect;
+            this.camera.right = aspect;
+            this.camera.updateProjectionMatrix();
+            if (this.waterfallView) {
+                this.waterfallView.camera.aspect = aspect;
+                this.waterfallView.camera.updateProjectionMatrix();
+            }
+            this.renderer.setSize(viewport.width, viewport.height);
+            this.resizeOverlay();
+            this.layoutPlanes();
+        }
+
+        /**
+         * 渲染区域大小：容器减去容器内的控制面板，避免频谱图被面板遮住
+         */
+        getViewportSize() {
+            const controls = this.controls && this.container.contains(this.controls) ? this.controls : null;
+            const controlsHeight = controls ? controls.offsetHeight : 0;
+            return {
+                width: Math.max(1, this.container.clientWidth),
+                height: Math.max(1, this.container.clientHeight - controlsHeight)
+            };
+        }
+
+        /**
+         * 覆盖层画布与 WebGL 画布保持同样的大小和像素比
+         */
+        resizeOverlay() {
+            const { width, height } = this.getViewportSize();
+            const ratio = window.devicePixelRatio || 1;
+            this.overlay.width = width * ratio;
+            this.overlay.height = height * ratio;
+            this.overlay.style.width = `${width}px`;
+            this.overlay.style.height = `${height}px`;
+            this.overlayCtx.setTransform(ratio, 0, 0, ratio, 0, 0);
+        }
     }
-}
 
-// 页面加载完成后初始化
-window.addEventListener('load', () => {
-    console.log('🚀 Initializing Bird Sound Spectrogram Visualizer...');
-    new SpectrogramVisualizer();
-});
\ No newline at end of file
+    return SpectrogramVisualizer;
+});
@@ -0,0 +1,84 @@
+/**
+ * STFT 分帧处理器（AudioWorklet）
+ * 将输入混合为单声道，每 hopSize 个采样向主线程发送最近 fftSize 个采样，
+ * 列速率固定为 sampleRate / hopSize，与屏幕刷新率无关。
+ * 加窗和 FFT 在主线程完成，与离线文件分析共用同一套代码。
+ *
+ * 输入 0 为预处理后的信号（用于分析），输入 1 为未处理的原始信号，
+ * 随每帧一起发送最近 hopSize 个原始采样，供录音保存。
+ */
+
+class StftProcessor extends AudioWorkletProcessor {
+    constructor(options) {
+        super();
+
+        const { fftSize, hopSize } = options.processorOptions;
+        this.configure(fftSize, hopSize);
+
+        // 主线程修改 FFT 大小或步长时重新配置
+        this.port.onmessage = (e) => this.configure(e.data.fftSize, e.data.hopSize);
+    }
+
+    /**
+     * 重置环形缓冲
+     */
+    configure(fftSize, hopSize) {
+        this.fftSize = fftSize;
+        this.hopSize = hopSize;
+        this.buffer = new Float32Array(fftSize);
+        this.raw = new Float32Array(fftSize);
+        this.writeIndex = 0;
+        this.samplesSinceFrame = 0;
+    }
+
+    process(inputs) {
+        const input = inputs[0];
+        if (!input || input.length === 0) return true;
+
+        const rawInput = inputs[1] && inputs[1].length > 0 ? inputs[1] : input;
+        const length = input[0].length;
+        for (let i = 0; i < length; i++) {
+            this.buffer[this.writeIndex] = this.mix(input, i);
+            this.raw[this.writeIndex] = this.mix(rawInput, i);
+            this.writeIndex = (this.writeIndex + 1) % this.fftSize;
+
+            if (++this.samplesSinceFrame >= this.hopSize) {
+                this.samplesSinceFrame = 0;
+                this.postFrame();
+            }
+        }
+
+        return true;
+    }
+
+    /**
+     * 第 i 个采样的各声道平均值
+     */
+    mix(channels, i) {
+        let sample = 0;
+        for (let c = 0; c < channels.length; c++) {
+            sample += channels[c][i];
+        }
+        return sample / channels.length;
+    }
+
+    /**
+     * 按时间顺序展开环形缓冲并发送
+     */
+    postFrame() {
+        const frame = new Float32Array(this.fftSize);
+        frame.set(this.buffer.subarray(this.writeIndex), 0);
+        frame.set(this.buffer.subarray(0, this.writeIndex), this.fftSize - this.writeIndex);
+
+        // 最近 hopSize 个原始采样
+        const raw = new Float32Array(this.hopSize);
+        const start = (this.writeIndex - this.hopSize + this.fftSize) % this.fftSize;
+        for (let i = 0; i < this.hopSize; i++) {
+            raw[i] = this.raw[(start + i) % this.fftSize];
+        }
+
+        this.port.postMessage({ samples: frame, raw }, [frame.buffer, raw.buffer]);
+    }
+}
+
+registerProcessor('stft-processor', StftProcessor);